@@ -7,219 +7,2428 @@
 // Application state (loaded on init)
 let appState = null;
 
-// Auto-save timer
-let autoSaveTimer = null;
+// Entry currently shown in the textarea (today can have several)
+let activeEntryId = null;
+
+// Pending auto-saves, keyed by entry id: { timer, save, text }
+const pendingSaves = {};
 const AUTO_SAVE_DELAY = 1000; // 1 second after user stops typing
 
+// History search: index is built when the panel opens, results render in pages
+let historyIndex = [];
+let historyResults = [];
+let historyVisibleCount = 0;
+let historySearchTimer = null;
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_SEARCH_DELAY = 200;
+
+// Year shown in the stats heatmap (null = current year)
+let heatmapYear = null;
+
+// Bucket size of the words trend chart (key of TREND_PERIODS)
+let trendPeriod = "week";
+
+// Rows read from an import file, waiting for the user to confirm
+let pendingImport = null;
+const IMPORT_PREVIEW_ROWS = 200; // rows listed in the preview table
+
+// Backup being merged (see planMergeImport), waiting for the user to confirm
+let pendingMerge = null;
+
+// Passphrase form in use: submit(passphrase) returns a promise that
+// rejects with the message to show (see requestPassphrase)
+let passphraseRequest = null;
+
+// Shortest passphrase accepted for encryption
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Set while saves fail: { error, unsavedSince }; retried in the background
+let saveFailure = null;
+let saveRetryTimer = null;
+const SAVE_RETRY_INTERVAL = 30 * 1000;
+
+// Entries changed here and in another tab at once, waiting for the user to
+// pick a version: { date, current, incoming, newer } (see receiveRecords)
+let tabConflicts = [];
+
+// Locks an encrypted journal after settings.autoLockMinutes without activity
+let autoLockTimer = null;
+
+// Coming back after this long starts a fresh entry instead of continuing the last one
+const NEW_SESSION_GAP = 2 * 60 * 60 * 1000; // 2 hours
+
+/**
+ * Initialize the application
+ * Called when DOM is ready
+ */
+function initApp() {
+  // Initialize theme FIRST (before rendering UI)
+  initTheme();
+
+  const lockForm = document.getElementById("lock-form");
+  if (lockForm) {
+    lockForm.addEventListener("submit", handleLockSubmit);
+  }
+
+  const lockCancel = document.getElementById("lock-cancel");
+  if (lockCancel) {
+    lockCancel.addEventListener("click", handleLockCancel);
+  }
+
+  // IndexedDB (or localStorage) is read before anything is shown
+  initStorage()
+    .then(() => {
+      // An encrypted journal opens once the passphrase is entered
+      if (isStateEncrypted()) {
+        requestPassphrase(
+          {
+            title: "Journal locked",
+            message: "Enter your passphrase to open your reflections.",
+            submitLabel: "Unlock",
+            cancellable: false,
+          },
+          (passphrase) => unlockState(passphrase).then(startApp),
+        );
+        return;
+      }
+
+      // Load saved state
+      startApp(loadState());
+    })
+    .catch((error) => {
+      console.error("Error opening storage:", error);
+      showNotification("Your journal could not be opened.", "error");
+    });
+}
+
+/**
+ * Start the app with loaded (and, if encrypted, unlocked) state
+ * @param {object} state - Application state
+ */
+function startApp(state) {
+  appState = state;
+
+  // Day boundaries ("day starts at", home timezone) before any date logic
+  configureDates(appState.settings);
+
+  // Merge the user's own questions with the built-in ones
+  applyQuestionBank(appState.questionBank);
+
+  // Check if we need a new question today
+  appState = updateQuestionIfNeeded(appState);
+
+  // Calculate current streak (in case it wasn't updated)
+  appState.streak = calculateStreak(appState);
+  saveState(appState);
+
+  // Storage that can't be written (full, blocked) is reported right away
+  whenSaved().then((result) => {
+    if (!result.ok) {
+      handleSaveFailure(result);
+    }
+  });
+
+  // Get today's question
+  const question = getQuestionById(appState.currentQuestionId);
+
+  // Continue the latest entry, or start a new one for a new session
+  activeEntryId = resolveActiveEntryId(appState);
+
+  // Get today's reflection (empty string for new day or new session)
+  const reflectionText = getTodayReflection(appState, activeEntryId);
+
+  // Initialize UI with current data
+  renderApp({
+    question: question,
+    reflection: reflectionText,
+    details: findEntry(appState, getTodayDate(), activeEntryId),
+    streak: appState.streak,
+    date: getTodayDate(),
+  });
+
+  // Initialize statistics display
+  updateStatsDisplay();
+  renderSettings(appState.settings);
+  renderBookYears(getReflectionYears(appState));
+  updateMissedCount(getMissedDays(appState).length);
+  updateEntryInfo(countEarlierEntries(appState, activeEntryId));
+
+  renderEncryptionSettings({
+    supported: isEncryptionSupported(),
+    enabled: isEncryptionEnabled(),
+    autoLockMinutes: appState.settings.autoLockMinutes,
+  });
+
+  // Set up event listeners
+  setupEventListeners();
+  resetAutoLock();
+
+  // Follow what other open tabs save
+  listenToOtherTabs(handleOtherTabSave);
+}
+
+/**
+ * Set up event listeners for user interactions
+ */
+function setupEventListeners() {
+  // Reflection textarea - auto-save on input
+  const textarea = document.getElementById("reflection-input");
+  if (textarea) {
+    textarea.addEventListener("input", handleReflectionInput);
+  }
+
+  // Different question button
+  const skipBtn = document.getElementById("skip-question");
+  if (skipBtn) {
+    skipBtn.addEventListener("click", handleSkipQuestion);
+  }
+
+  // Past answers to today's question
+  const insightsBtn = document.getElementById("question-insights");
+  if (insightsBtn) {
+    insightsBtn.addEventListener("click", () =>
+      handleInsightsOpen(appState.currentQuestionId),
+    );
+  }
+
+  // Mood, energy and tags of the entry being written
+  ["entry-mood", "entry-energy", "entry-tags"].forEach((id) => {
+    const field = document.getElementById(id);
+    if (field) {
+      field.addEventListener("change", handleEntryDetailsChange);
+    }
+  });
+
+  // New entry button
+  const newEntryBtn = document.getElementById("new-entry");
+  if (newEntryBtn) {
+    newEntryBtn.addEventListener("click", handleNewEntry);
+  }
+
+  // History toggle button
+  const historyToggle = document.getElementById("history-toggle");
+  if (historyToggle) {
+    historyToggle.addEventListener("click", handleHistoryToggle);
+  }
+
+  // History items - edit past reflections
+  const historyList = document.getElementById("history-list");
+  if (historyList) {
+    historyList.addEventListener("click", handleHistoryListClick);
+    historyList.addEventListener("input", handleHistoryListInput);
+  }
+
+  // History search and filters
+  const historySearch = document.getElementById("history-search");
+  if (historySearch) {
+    historySearch.addEventListener("input", handleHistorySearchInput);
+  }
+
+  [
+    "history-from",
+    "history-to",
+    "history-mood",
+    "history-tag",
+    "history-question",
+  ].forEach((id) => {
+    const filter = document.getElementById(id);
+    if (filter) {
+      filter.addEventListener("change", applyHistoryFilters);
+    }
+  });
+
+  const historyMore = document.getElementById("history-more");
+  if (historyMore) {
+    historyMore.addEventListener("click", handleHistoryShowMore);
+  }
+
+  // The stats panel renders when it opens (see updateStatsDisplay)
+  const statsDetails = document.getElementById("stats-details");
+  if (statsDetails) {
+    statsDetails.addEventListener("toggle", () => {
+      if (statsDetails.open) updateStatsDisplay();
+    });
+  }
+
+  // Stats heatmap: year switching and opening a day
+  const heatmapPrev = document.getElementById("heatmap-prev");
+  if (heatmapPrev) {
+    heatmapPrev.addEventListener("click", () => changeHeatmapYear(-1));
+  }
+
+  const heatmapNext = document.getElementById("heatmap-next");
+  if (heatmapNext) {
+    heatmapNext.addEventListener("click", () => changeHeatmapYear(1));
+  }
+
+  const heatmapGrid = document.getElementById("heatmap-grid");
+  if (heatmapGrid) {
+    heatmapGrid.addEventListener("click", handleHeatmapClick);
+  }
+
+  const trendPeriodSelect = document.getElementById("trend-period");
+  if (trendPeriodSelect) {
+    trendPeriodSelect.addEventListener("change", (e) => {
+      trendPeriod = e.target.value;
+      updateTrends();
+    });
+  }
+
+  // Missed days catch-up
+  const missedToggle = document.getElementById("missed-toggle");
+  if (missedToggle) {
+    missedToggle.addEventListener("click", handleMissedOpen);
+  }
+
+  const missedClose = document.getElementById("missed-close");
+  if (missedClose) {
+    missedClose.addEventListener("click", handleMissedClose);
+  }
+
+  const missedList = document.getElementById("missed-list");
+  if (missedList) {
+    missedList.addEventListener("input", handleMissedInput);
+  }
+
+  const countBackfills = document.getElementById("count-backfills");
+  if (countBackfills) {
+    countBackfills.addEventListener("change", handleCountBackfillsChange);
+  }
+
+  // Day boundary settings
+  ["day-start-hour", "time-zone"].forEach((id) => {
+    const select = document.getElementById(id);
+    if (select) {
+      select.addEventListener("change", handleDayBoundaryChange);
+    }
+  });
+
+  // Rest days setting
+  const restDays = document.getElementById("rest-days");
+  if (restDays) {
+    restDays.addEventListener("change", handleRestDaysChange);
+  }
+
+  // History close button
+  const historyClose = document.getElementById("history-close");
+  if (historyClose) {
+    historyClose.addEventListener("click", handleHistoryClose);
+  }
+
+  // Rotation mode setting
+  const rotationMode = document.getElementById("rotation-mode");
+  if (rotationMode) {
+    rotationMode.addEventListener("change", handleRotationModeChange);
+  }
+
+  // Question selection strategy setting
+  const questionStrategy = document.getElementById("question-strategy");
+  if (questionStrategy) {
+    questionStrategy.addEventListener("change", handleQuestionStrategyChange);
+  }
+
+  // Question bank manager
+  const manageQuestions = document.getElementById("manage-questions");
+  if (manageQuestions) {
+    manageQuestions.addEventListener("click", handleQuestionsOpen);
+  }
+
+  const questionsClose = document.getElementById("questions-close");
+  if (questionsClose) {
+    questionsClose.addEventListener("click", hideQuestionsPanel);
+  }
+
+  const questionAddForm = document.getElementById("question-add-form");
+  if (questionAddForm) {
+    questionAddForm.addEventListener("submit", handleQuestionAdd);
+  }
+
+  const questionList = document.getElementById("question-list");
+  if (questionList) {
+    questionList.addEventListener("click", handleQuestionListClick);
+  }
+
+  // Question insights
+  const insightsClose = document.getElementById("insights-close");
+  if (insightsClose) {
+    insightsClose.addEventListener("click", hideInsightsPanel);
+  }
+
+  const insightsQuestion = document.getElementById("insights-question");
+  if (insightsQuestion) {
+    insightsQuestion.addEventListener("change", (e) =>
+      handleInsightsOpen(Number(e.target.value)),
+    );
+  }
+
+  const insightsList = document.getElementById("insights-list");
+  if (insightsList) {
+    insightsList.addEventListener("change", updateInsightsDiff);
+  }
+
+  const packExport = document.getElementById("question-pack-export");
+  if (packExport) {
+    packExport.addEventListener("click", handleQuestionPackExport);
+  }
+
+  const packInput = document.getElementById("question-pack-input");
+  if (packInput) {
+    packInput.addEventListener("change", function (event) {
+      const file = event.target.files[0];
+      if (file) {
+        handleQuestionPackImport(file);
+      }
+      // Allow importing the same file again
+      event.target.value = "";
+    });
+  }
+
+  // Export data button
+  const exportBtn = document.getElementById("export-data");
+  if (exportBtn) {
+    exportBtn.addEventListener("click", handleExportData);
+  }
+
+  const bookExport = document.getElementById("book-export-button");
+  if (bookExport) {
+    bookExport.addEventListener("click", handleBookExport);
+  }
+
+  const markdownExport = document.getElementById("markdown-export-button");
+  if (markdownExport) {
+    markdownExport.addEventListener("click", handleMarkdownExport);
+  }
+
+  // CSV export and import (with preview)
+  const csvExport = document.getElementById("export-csv");
+  if (csvExport) {
+    csvExport.addEventListener("click", handleCsvExport);
+  }
+
+  const csvInput = document.getElementById("import-csv-input");
+  if (csvInput) {
+    csvInput.addEventListener("change", function (event) {
+      const file = event.target.files[0];
+      if (file) {
+        handleCsvImport(file);
+      }
+      // Allow importing the same file again
+      event.target.value = "";
+    });
+  }
+
+  // Other journaling apps (same preview as CSV)
+  const dayOneInput = document.getElementById("import-dayone-input");
+  if (dayOneInput) {
+    dayOneInput.addEventListener("change", function (event) {
+      const file = event.target.files[0];
+      if (file) {
+        handleDayOneImport(file);
+      }
+      event.target.value = "";
+    });
+  }
+
+  const textFolderInput = document.getElementById("import-folder-input");
+  if (textFolderInput) {
+    textFolderInput.addEventListener("change", function (event) {
+      const files = Array.from(event.target.files);
+      if (files.length > 0) {
+        handleTextFolderImport(files);
+      }
+      event.target.value = "";
+    });
+  }
+
+  const importConfirm = document.getElementById("import-confirm");
+  if (importConfirm) {
+    importConfirm.addEventListener("click", handleImportConfirm);
+  }
+
+  const importCancel = document.getElementById("import-cancel");
+  if (importCancel) {
+    importCancel.addEventListener("click", handleImportCancel);
+  }
+
+  // Save failures
+  const saveRetry = document.getElementById("save-retry");
+  if (saveRetry) {
+    saveRetry.addEventListener("click", retrySave);
+  }
+
+  const saveDownload = document.getElementById("save-download");
+  if (saveDownload) {
+    saveDownload.addEventListener("click", handleUnsavedDownload);
+  }
+
+  window.addEventListener("beforeunload", handleBeforeUnload);
+
+  // Storage usage is measured when settings are opened
+  const settings = document.getElementById("settings");
+  if (settings) {
+    settings.addEventListener("toggle", () => {
+      if (settings.open) {
+        updateStorageUsage();
+      }
+    });
+  }
+
+  // Passphrase encryption
+  const encryptionEnable = document.getElementById("encryption-enable");
+  if (encryptionEnable) {
+    encryptionEnable.addEventListener("click", handleEncryptionEnable);
+  }
+
+  const encryptionDisable = document.getElementById("encryption-disable");
+  if (encryptionDisable) {
+    encryptionDisable.addEventListener("click", handleEncryptionDisable);
+  }
+
+  const autoLock = document.getElementById("auto-lock-minutes");
+  if (autoLock) {
+    autoLock.addEventListener("change", handleAutoLockChange);
+  }
+
+  const lockNow = document.getElementById("lock-now");
+  if (lockNow) {
+    lockNow.addEventListener("click", lockJournal);
+  }
+
+  // Any activity postpones the auto-lock
+  ["pointerdown", "keydown", "wheel"].forEach((type) => {
+    window.addEventListener(type, resetAutoLock, { passive: true });
+  });
+
+  // Merging a backup
+  const mergeConfirm = document.getElementById("merge-confirm");
+  if (mergeConfirm) {
+    mergeConfirm.addEventListener("click", handleMergeConfirm);
+  }
+
+  const mergeCancel = document.getElementById("merge-cancel");
+  if (mergeCancel) {
+    mergeCancel.addEventListener("click", handleMergeCancel);
+  }
+
+  const mergeConflicts = document.getElementById("merge-conflicts");
+  if (mergeConflicts) {
+    mergeConflicts.addEventListener("change", updateMergeSummary);
+  }
+
+  const mergeKeepNewer = document.getElementById("merge-keep-newer");
+  if (mergeKeepNewer) {
+    mergeKeepNewer.addEventListener("click", handleMergeKeepNewer);
+  }
+
+  // Entries changed in two tabs at once
+  const tabConflictConfirm = document.getElementById("tab-conflict-confirm");
+  if (tabConflictConfirm) {
+    tabConflictConfirm.addEventListener("click", handleTabConflictConfirm);
+  }
+
+  const themeToggle = document.getElementById("theme-toggle");
+  if (themeToggle) {
+    themeToggle.addEventListener("click", toggleTheme);
+  }
+}
+
+// Import data input
+const importInput = document.getElementById("import-data-input");
+if (importInput) {
+  importInput.addEventListener("change", function (event) {
+    const file = event.target.files[0];
+    if (file) {
+      handleImportData(file);
+    }
+  });
+}
+
+// Clear data button
+const clearBtn = document.getElementById("clear-data");
+if (clearBtn) {
+  clearBtn.addEventListener("click", handleClearData);
+}
+
+/**
+ * Handle reflection textarea input
+ * Debounced auto-save: waits for user to stop typing
+ * @param {Event} event - Input event
+ */
+function handleReflectionInput(event) {
+  const text = event.target.value;
+
+  // Update live word count immediately
+  updateLiveWordCount(text);
+
+  // Show "saving..." indicator immediately
+  showSaveStatus("saving");
+
+  // Save after user stops typing
+  scheduleAutoSave(activeEntryId, text, () => saveReflection(text));
+}
+
+/**
+ * Debounce a save until the user stops typing
+ * Each entry has its own timer, so several editors can auto-save independently
+ * @param {string} entryId - Entry being edited
+ * @param {string} text - Text being saved
+ * @param {Function} save - Performs the actual save
+ */
+function scheduleAutoSave(entryId, text, save) {
+  // Clear existing timer
+  if (pendingSaves[entryId]) {
+    clearTimeout(pendingSaves[entryId].timer);
+  }
+
+  const timer = setTimeout(() => {
+    delete pendingSaves[entryId];
+    save();
+  }, AUTO_SAVE_DELAY);
+
+  pendingSaves[entryId] = { timer, save, text };
+}
+
+/**
+ * Run a pending auto-save immediately (if there is one)
+ * @param {string} entryId - Entry being edited
+ */
+function flushAutoSave(entryId) {
+  const pending = pendingSaves[entryId];
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  delete pendingSaves[entryId];
+  pending.save();
+}
+
+/**
+ * Drop a pending auto-save (if there is one)
+ * @param {string} entryId - Entry being edited
+ */
+function cancelAutoSave(entryId) {
+  const pending = pendingSaves[entryId];
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  delete pendingSaves[entryId];
+}
+
+/**
+ * Save the reflection to state
+ * @param {string} text - Reflection text
+ */
+function saveReflection(text) {
+  // Save to state and get updated state back
+  appState = saveTodayReflection(appState, text, activeEntryId);
+
+  // Update UI with new streak (if changed)
+  updateStreakDisplay(appState.streak);
+
+  // Update all statistics
+  updateStatsDisplay();
+
+  // Show "saved" once it is really stored
+  reportSave();
+}
+
+/**
+ * Show "Saved" once the latest save is stored, or the "not saved" banner
+ * if it failed
+ * @param {HTMLElement} [status] - Save indicator (defaults to today's)
+ */
+function reportSave(status) {
+  whenSaved().then((result) => {
+    if (!result.ok) {
+      showSaveStatus("idle", status);
+      handleSaveFailure(result);
+      return;
+    }
+
+    if (saveFailure) {
+      handleSaveRecovered();
+    }
+
+    showSaveStatus("saved", status);
+    setTimeout(() => {
+      showSaveStatus("idle", status);
+    }, 2000);
+  });
+}
+
+/**
+ * Keep the "not saved" banner up and retry in the background
+ * The text stays in memory (appState) until a save succeeds
+ * @param {object} result - { error, unsavedSince } from whenSaved()
+ */
+function handleSaveFailure(result) {
+  saveFailure = {
+    error: result.error,
+    // Keep the earliest: everything after it may be missing from storage
+    unsavedSince: saveFailure ? saveFailure.unsavedSince : result.unsavedSince,
+  };
+
+  showSaveError(describeSaveError(result.error));
+  updateStorageUsage();
+
+  clearTimeout(saveRetryTimer);
+  saveRetryTimer = setTimeout(retrySave, SAVE_RETRY_INTERVAL);
+}
+
+/**
+ * Saving works again
+ */
+function handleSaveRecovered() {
+  saveFailure = null;
+  clearTimeout(saveRetryTimer);
+  hideSaveError();
+  updateStorageUsage();
+  showNotification("Your changes are saved again.");
+}
+
+/**
+ * Try to store everything in memory again
+ */
+function retrySave() {
+  clearTimeout(saveRetryTimer);
+  // Retried once the journal is unlocked again (see lockJournal)
+  if (isJournalLocked()) return;
+
+  showSaveError("Saving again...");
+
+  saveState(appState);
+  reportSave();
+}
+
+/**
+ * Explain a failed save
+ * @param {Error} error - From the storage backend
+ * @returns {string}
+ */
+function describeSaveError(error) {
+  if (isQuotaError(error)) {
+    return "Not saved: storage is full. Download your text, then free some space.";
+  }
+  if (error && error.name === "SecurityError") {
+    return "Not saved: this browser is blocking storage (private browsing?).";
+  }
+  if (error && error.name === "NewerSchemaError") {
+    return "Not saved: your journal was saved by a newer version of this app. Open it there; nothing is changed here.";
+  }
+  if (error && error.name === "UnreadableStateError") {
+    return "Not saved: your stored journal couldn't be read, so nothing is written over it.";
+  }
+  if (error && error.name === "StaleTabError") {
+    return "Not saved: your journal changed in another tab. Download your text, then reload this page.";
+  }
+  return "Not saved: your changes couldn't be stored.";
+}
+
+/**
+ * Download what may be missing from storage as Markdown
+ * Entries edited since the last successful save, or all of them if
+ * nothing was saved this session
+ */
+function handleUnsavedDownload() {
+  const since = saveFailure && saveFailure.unsavedSince;
+  const all = getAllReflections(appState).reverse();
+  const unsaved = since
+    ? all.filter((reflection) => reflection.lastEdited >= since)
+    : all;
+
+  downloadFile(
+    buildMarkdownJournal(unsaved.length > 0 ? unsaved : all, {
+      from: "",
+      to: "",
+    }),
+    `unsaved-reflections-${getTodayDate()}.md`,
+    "text/markdown",
+  );
+}
+
+/**
+ * Warn before leaving while changes aren't stored (or a version from
+ * another tab is still to be picked)
+ * @param {Event} event - beforeunload event
+ */
+function handleBeforeUnload(event) {
+  if (!saveFailure && tabConflicts.length === 0) return;
+
+  event.preventDefault();
+  event.returnValue = "";
+}
+
+/**
+ * Reload the page once everything is saved
+ * If saving failed, stay: reloading would lose the unsaved changes
+ */
+function reloadWhenSaved() {
+  whenSaved().then((result) => {
+    if (result.ok) {
+      location.reload();
+    } else {
+      handleSaveFailure(result);
+    }
+  });
+}
+
+/**
+ * Take in what another tab saved: refresh the views, and ask which version
+ * to keep of entries both tabs changed
+ * @param {object} message - From listenToOtherTabs()
+ */
+function handleOtherTabSave(message) {
+  const getUnsavedText = (entryId) =>
+    pendingSaves[entryId] ? pendingSaves[entryId].text : null;
+
+  receiveRecords(appState, message, getUnsavedText)
+    .then((result) => {
+      appState = result.state;
+
+      // The text typed here is kept in the conflict until the user picks
+      result.conflicts.forEach((conflict) => {
+        cancelAutoSave(conflict.current.id);
+      });
+      if (!pendingSaves[activeEntryId]) {
+        showSaveStatus("idle");
+      }
+
+      updateTabConflicts(result);
+      refreshAfterOtherTab(result);
+    })
+    .catch((error) => {
+      // Saving stops until this tab reloads; the text stays in memory
+      handleSaveFailure({ error, unsavedSince: new Date().toISOString() });
+    });
+}
+
+/**
+ * Add new conflicts to the ones waiting, and follow later changes
+ * @param {object} result - From receiveRecords()
+ */
+function updateTabConflicts(result) {
+  const changed = [
+    ...result.updated,
+    ...result.conflicts.map((conflict) => conflict.incoming.id),
+  ];
+
+  // Keep this tab's version of an open conflict; compare it to the latest
+  const open = tabConflicts.map((conflict) =>
+    changed.includes(conflict.current.id)
+      ? {
+          ...conflict,
+          incoming:
+            findEntry(appState, conflict.date, conflict.current.id) ||
+            conflict.incoming,
+        }
+      : conflict,
+  );
+  const added = result.conflicts.filter(
+    (conflict) =>
+      !tabConflicts.some((other) => other.current.id === conflict.current.id),
+  );
+
+  // Settled elsewhere: both tabs now hold the same text
+  tabConflicts = [...open, ...added].filter(
+    (conflict) => !isSameEntry(conflict.current, conflict.incoming),
+  );
+
+  if (tabConflicts.length > 0) {
+    showTabConflictPanel(tabConflicts);
+  } else {
+    hideTabConflictPanel();
+  }
+}
+
+/**
+ * Show what another tab changed
+ * Editors with unsaved text are left alone
+ * @param {object} result - From receiveRecords()
+ */
+function refreshAfterOtherTab(result) {
+  // A blank textarea follows the entry the other tab is writing
+  const blank =
+    !findEntry(appState, getTodayDate(), activeEntryId) &&
+    !pendingSaves[activeEntryId];
+  if (blank) {
+    activeEntryId = resolveActiveEntryId(appState);
+  }
+
+  if (
+    (blank || result.updated.includes(activeEntryId)) &&
+    !pendingSaves[activeEntryId]
+  ) {
+    const text = getTodayReflection(appState, activeEntryId);
+    renderReflection(text);
+    renderEntryDetails(findEntry(appState, getTodayDate(), activeEntryId));
+    updateLiveWordCount(text);
+  }
+
+  if (result.stateChanged) {
+    renderQuestion(getQuestionById(appState.currentQuestionId), getTodayDate());
+    renderSettings(appState.settings);
+  }
+
+  historyIndex = buildHistoryIndex(appState);
+  updateStreakDisplay(appState.streak);
+  updateStatsDisplay();
+  renderBookYears(getReflectionYears(appState));
+  updateMissedCount(getMissedDays(appState).length);
+  updateEntryInfo(countEarlierEntries(appState, activeEntryId));
+}
+
+/**
+ * Keep the picked version of each entry changed in two tabs
+ */
+function handleTabConflictConfirm() {
+  const choices = getConflictChoices("tab-conflicts");
+  const activeConflict = tabConflicts.some(
+    (conflict) => conflict.current.id === activeEntryId,
+  );
+
+  appState = settleTabConflicts(appState, tabConflicts, choices);
+  tabConflicts = [];
+  hideTabConflictPanel();
+
+  if (activeConflict) {
+    const text = getTodayReflection(appState, activeEntryId);
+    renderReflection(text);
+    updateLiveWordCount(text);
+  }
+
+  historyIndex = buildHistoryIndex(appState);
+  updateStreakDisplay(appState.streak);
+  updateStatsDisplay();
+
+  reportSave();
+}
+
+/**
+ * Show how much storage the journal uses (in settings)
+ */
+function updateStorageUsage() {
+  getStorageUsage()
+    .then(renderStorageUsage)
+    .catch((error) => {
+      console.error("Error estimating storage:", error);
+    });
+}
+
+/**
+ * Handle a change to the mood, energy or tags fields
+ * Applies to the entry the textarea is editing
+ */
+function handleEntryDetailsChange() {
+  const mood = document.getElementById("entry-mood");
+  const energy = document.getElementById("entry-energy");
+  const tags = document.getElementById("entry-tags");
+
+  // Store pending text first so both changes land on the same entry
+  flushAutoSave(activeEntryId);
+
+  appState = saveTodayEntryDetails(appState, activeEntryId, {
+    mood: mood && mood.value ? Number(mood.value) : null,
+    energy: energy && energy.value ? Number(energy.value) : null,
+    tags: parseTags(tags ? tags.value : ""),
+  });
+
+  // Show the tags as stored (de-duplicated, lower-case)
+  renderEntryDetails(findEntry(appState, getTodayDate(), activeEntryId));
+  updateStatsDisplay();
+
+  reportSave();
+}
+
+/**
+ * Pick the entry the textarea should edit on load
+ * Continues today's latest entry unless the user has been away for a while
+ * @param {object} state - Application state
+ * @returns {string} Entry id (may not exist in state yet)
+ */
+function resolveActiveEntryId(state) {
+  const latest = getLatestEntry(state, getTodayDate());
+
+  if (latest) {
+    const idleTime = Date.now() - new Date(latest.lastEdited).getTime();
+    if (!hasReflectionText(latest) || idleTime < NEW_SESSION_GAP) {
+      return latest.id;
+    }
+  }
+
+  return createEntryId();
+}
+
+/**
+ * Count today's entries written before the active one
+ * @param {object} state - Application state
+ * @param {string} entryId - Active entry id
+ * @returns {number}
+ */
+function countEarlierEntries(state, entryId) {
+  return getDayEntries(state, getTodayDate()).filter(
+    (entry) => entry.id !== entryId && hasReflectionText(entry),
+  ).length;
+}
+
+/**
+ * Handle new entry button
+ * Saves the current entry and starts a blank one for today
+ */
+function handleNewEntry() {
+  const textarea = document.getElementById("reflection-input");
+  const text = textarea ? textarea.value : "";
+
+  // Nothing written yet - the current entry is already blank
+  if (text.trim().length === 0) return;
+
+  // Save the current entry before switching
+  flushAutoSave(activeEntryId);
+
+  activeEntryId = createEntryId();
+  renderReflection("");
+  renderEntryDetails(null);
+  updateLiveWordCount("");
+  updateEntryInfo(countEarlierEntries(appState, activeEntryId));
+
+  if (textarea) {
+    textarea.focus();
+  }
+}
+
+/**
+ * Handle "Different question"
+ * Swaps today's question through the normal rotation. Anything already
+ * written stays saved with the original question; a fresh entry starts for
+ * the new one.
+ */
+function handleSkipQuestion() {
+  const skippedId = appState.currentQuestionId;
+
+  // Make sure text written for the current question is stored first
+  flushAutoSave(activeEntryId);
+
+  appState = skipTodayQuestion(appState);
+
+  if (appState.currentQuestionId === skippedId) {
+    showNotification("There's no other question to swap in.", "error");
+    return;
+  }
+
+  const keptText = getTodayReflection(appState, activeEntryId);
+
+  activeEntryId = createEntryId();
+  renderQuestion(getQuestionById(appState.currentQuestionId), getTodayDate());
+  renderReflection("");
+  renderEntryDetails(null);
+  updateEntryInfo(countEarlierEntries(appState, activeEntryId));
+  updateStatsDisplay();
+
+  if (hasReflectionText({ text: keptText })) {
+    showNotification("New question. Your earlier writing is kept in history.");
+  }
+}
+
+/**
+ * Open the missed days panel
+ */
+function handleMissedOpen() {
+  const missedDays = getMissedDays(appState).map((day) => {
+    const question = getQuestionById(day.questionId);
+    return {
+      date: day.date,
+      entryId: day.entryId || createEntryId(),
+      questionText: question ? question.text : "Question not found",
+    };
+  });
+
+  showMissedPanel(missedDays);
+}
+
+/**
+ * Close the missed days panel, saving anything still pending
+ */
+function handleMissedClose() {
+  document
+    .querySelectorAll("#missed-list .missed-item")
+    .forEach((item) => flushAutoSave(item.dataset.entryId));
+
+  hideMissedPanel();
+  updateMissedCount(getMissedDays(appState).length);
+}
+
+/**
+ * Handle typing a backfilled entry (delegated)
+ * @param {Event} event - Input event
+ */
+function handleMissedInput(event) {
+  if (!event.target.classList.contains("missed-editor")) return;
+
+  const item = event.target.closest(".missed-item");
+  const { date, entryId } = item.dataset;
+  const text = event.target.value;
+  const status = item.querySelector(".history-save-message");
+
+  showSaveStatus("saving", status);
+  scheduleAutoSave(entryId, text, () => {
+    appState = saveBackfillReflection(appState, date, entryId, text);
+    updateStreakDisplay(appState.streak);
+    updateStatsDisplay();
+
+    reportSave(status);
+  });
+}
+
+/**
+ * Handle the "backfills count toward streak" setting
+ * @param {Event} event - Change event
+ */
+function handleCountBackfillsChange(event) {
+  appState = updateSettings(appState, {
+    countBackfillsInStreak: event.target.checked,
+  });
+  updateStreakDisplay(appState.streak);
+}
+
+/**
+ * Handle "new day starts at" and home time zone settings
+ * These can change what "today" is, so the app restarts on the new day
+ */
+function handleDayBoundaryChange() {
+  const dayStart = document.getElementById("day-start-hour");
+  const timeZone = document.getElementById("time-zone");
+
+  // Save everything under the old day before the boundary moves
+  Object.keys(pendingSaves).forEach(flushAutoSave);
+
+  appState = updateSettings(appState, {
+    dayStartHour: Number(dayStart.value),
+    timeZone: timeZone.value,
+  });
+
+  reloadWhenSaved();
+}
+
+/**
+ * Handle rest day checkboxes
+ */
+function handleRestDaysChange() {
+  const checked = document.querySelectorAll("#rest-days input:checked");
+  const restDays = [...checked].map((checkbox) => Number(checkbox.value));
+
+  appState = updateSettings(appState, { restDays });
+  updateStreakDisplay(appState.streak);
+}
+
+/**
+ * Handle history panel toggle
+ */
+function handleHistoryToggle() {
+  // Get all reflections from state, ready for searching
+  historyIndex = buildHistoryIndex(appState);
+
+  // Offer only questions and tags that actually have answers
+  renderQuestionFilter(getAnsweredQuestions(historyIndex));
+  renderDetailFilters(getUsedTags(historyIndex));
+
+  // Show history panel with (filtered) reflections
+  applyHistoryFilters();
+}
+
+/**
+ * Build the searchable list of reflections
+ * Lower-cases the text once so each keystroke only does substring checks
+ * @param {object} state - Application state
+ * @returns {Array} Reflection objects with a `searchText` field
+ */
+function buildHistoryIndex(state) {
+  return getAllReflections(state, { withCleared: true }).map((reflection) => ({
+    ...reflection,
+    searchText:
+      `${reflection.reflectionText}\n${reflection.questionText}\n${reflection.tags.join(" ")}`.toLowerCase(),
+  }));
+}
+
+/**
+ * Get the distinct questions that appear in a list of reflections
+ * @param {Array} reflections - Reflection objects
+ * @returns {Array} { id, text } sorted by question id
+ */
+function getAnsweredQuestions(reflections) {
+  const questions = {};
+
+  reflections.forEach((reflection) => {
+    // Free writes have no question to filter by
+    if (reflection.questionId === null) return;
+
+    questions[reflection.questionId] = {
+      id: reflection.questionId,
+      text: reflection.questionText,
+    };
+  });
+
+  return Object.values(questions).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Get the distinct tags used in a list of reflections
+ * @param {Array} reflections - Reflection objects
+ * @returns {Array} Tags, alphabetically
+ */
+function getUsedTags(reflections) {
+  const tags = new Set();
+  reflections.forEach((reflection) => {
+    reflection.tags.forEach((tag) => tags.add(tag));
+  });
+  return [...tags].sort();
+}
+
+/**
+ * Split a search query into lower-case terms
+ * @param {string} query - Raw search input
+ * @returns {Array} Unique, non-empty terms
+ */
+function parseSearchTerms(query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return [...new Set(terms)];
+}
+
+/**
+ * Filter indexed reflections
+ * Every search term must appear in the reflection or its question
+ * @param {Array} reflections - Output of buildHistoryIndex
+ * @param {object} filters - { terms, from, to, mood, tag, questionId }
+ * @returns {Array} Matching reflections (order preserved)
+ */
+function filterReflections(reflections, filters) {
+  return reflections.filter(
+    (reflection) =>
+      (!filters.from || reflection.date >= filters.from) &&
+      (!filters.to || reflection.date <= filters.to) &&
+      (!filters.mood || reflection.mood === filters.mood) &&
+      (!filters.tag || reflection.tags.includes(filters.tag)) &&
+      (!filters.questionId || reflection.questionId === filters.questionId) &&
+      filters.terms.every((term) => reflection.searchText.includes(term)),
+  );
+}
+
+/**
+ * Read the current history filter inputs
+ * @returns {object} { terms, from, to, mood, tag, questionId }
+ */
+function getHistoryFilters() {
+  const search = document.getElementById("history-search");
+  const from = document.getElementById("history-from");
+  const to = document.getElementById("history-to");
+  const mood = document.getElementById("history-mood");
+  const tag = document.getElementById("history-tag");
+  const question = document.getElementById("history-question");
+
+  return {
+    terms: parseSearchTerms(search ? search.value : ""),
+    from: from ? from.value : "",
+    to: to ? to.value : "",
+    mood: mood && mood.value ? Number(mood.value) : null,
+    tag: tag ? tag.value : "",
+    questionId: question && question.value ? Number(question.value) : null,
+  };
+}
+
+/**
+ * Re-run the history search and show the first page of results
+ */
+function applyHistoryFilters() {
+  const filters = getHistoryFilters();
+
+  historyResults = filterReflections(historyIndex, filters);
+  historyVisibleCount = Math.min(HISTORY_PAGE_SIZE, historyResults.length);
+
+  showHistoryPanel(historyResults.slice(0, historyVisibleCount), {
+    terms: filters.terms,
+    totalCount: historyIndex.length,
+    matchCount: historyResults.length,
+  });
+}
+
+/**
+ * Handle typing in the history search box
+ * Debounced so long histories don't re-render on every keystroke
+ */
+function handleHistorySearchInput() {
+  clearTimeout(historySearchTimer);
+  historySearchTimer = setTimeout(applyHistoryFilters, HISTORY_SEARCH_DELAY);
+}
+
+/**
+ * Handle "Show more" in the history panel
+ */
+function handleHistoryShowMore() {
+  const nextCount = Math.min(
+    historyVisibleCount + HISTORY_PAGE_SIZE,
+    historyResults.length,
+  );
+
+  appendHistoryItems(
+    historyResults.slice(historyVisibleCount, nextCount),
+    getHistoryFilters().terms,
+  );
+  historyVisibleCount = nextCount;
+  updateHistoryMoreButton(historyResults.length > historyVisibleCount);
+}
+
+/**
+ * Handle history panel close
+ * Saves any entry still being edited before hiding the panel
+ */
+function handleHistoryClose() {
+  Object.keys(pendingSaves)
+    .filter((entryId) => entryId !== activeEntryId)
+    .forEach(flushAutoSave);
+
+  hideHistoryPanel();
+}
+
+/**
+ * Handle clicks on history item buttons (delegated)
+ * @param {Event} event - Click event
+ */
+function handleHistoryListClick(event) {
+  const button = event.target.closest("button[data-action]");
+  if (!button) return;
+
+  const item = button.closest(".history-item");
+  const revision = button.closest(".revision-item");
+
+  switch (button.dataset.action) {
+    case "edit": {
+      // Today's pending text first, so the editor starts from the latest
+      flushAutoSave(activeEntryId);
+      const entry = getHistoryEntry(item);
+      if (!entry) {
+        removeStaleHistoryItem(item);
+        return;
+      }
+      openHistoryEditor(item, entry.text);
+      break;
+    }
+    case "done":
+      flushAutoSave(item.dataset.entryId);
+      closeHistoryEditor(item);
+      break;
+    case "revisions": {
+      flushAutoSave(item.dataset.entryId);
+      const entry = getHistoryEntry(item);
+      if (!entry) {
+        removeStaleHistoryItem(item);
+        return;
+      }
+      showRevisionList(item, entry.revisions);
+      break;
+    }
+    case "hide-revisions":
+      hideRevisionList(item);
+      break;
+    case "compare":
+      showRevisionChanges(item, revision);
+      break;
+    case "hide-changes":
+      hideRevisionDiff(revision);
+      break;
+    case "restore":
+      handleRevisionRestore(item, Number(revision.dataset.index));
+      break;
+  }
+}
+
+/**
+ * Get the entry a history item shows
+ * @param {HTMLElement} item - History item element
+ * @returns {object|null} Entry, or null once it was deleted or replaced
+ */
+function getHistoryEntry(item) {
+  return findEntry(appState, item.dataset.date, item.dataset.entryId);
+}
+
+/**
+ * Take out a history item whose entry is gone, e.g. deleted in another tab
+ * or replaced by an import since the list was rendered
+ * @param {HTMLElement} item - History item element
+ */
+function removeStaleHistoryItem(item) {
+  const { date, entryId } = item.dataset;
+
+  historyIndex = buildHistoryIndex(appState);
+  historyResults = historyResults.filter(
+    (reflection) => reflection.date !== date || reflection.entryId !== entryId,
+  );
+  // It was one of the rendered results, so "Show more" starts one earlier
+  historyVisibleCount -= 1;
+  item.remove();
+  updateHistoryResultsCount(historyResults.length, historyIndex.length);
+
+  showNotification(
+    "That entry was deleted or replaced, so it's no longer listed.",
+    "error",
+  );
+}
+
+/**
+ * Show what changed after a revision: the version after it is the next
+ * revision, or the entry's current text
+ * @param {HTMLElement} item - History item element
+ * @param {HTMLElement} row - Revision item element
+ */
+function showRevisionChanges(item, row) {
+  flushAutoSave(item.dataset.entryId);
+
+  const entry = getHistoryEntry(item);
+  if (!entry) {
+    removeStaleHistoryItem(item);
+    return;
+  }
+
+  const index = Number(row.dataset.index);
+  const isLatest = index === entry.revisions.length - 1;
+  const newerText = isLatest ? entry.text : entry.revisions[index + 1].text;
+
+  showRevisionDiff(row, {
+    before: `Version ${index + 1}`,
+    after: isLatest ? "Current text" : `Version ${index + 2}`,
+    parts: diffWords(entry.revisions[index].text, newerText),
+  });
+}
+
+/**
+ * Put an earlier version of a history entry back
+ * The replaced text becomes a version itself, so this can be undone
+ * @param {HTMLElement} item - History item element
+ * @param {number} index - Index into entry.revisions
+ */
+function handleRevisionRestore(item, index) {
+  const { date, entryId } = item.dataset;
+
+  flushAutoSave(entryId);
+  if (!getHistoryEntry(item)) {
+    removeStaleHistoryItem(item);
+    return;
+  }
+
+  appState = restoreRevision(appState, date, entryId, index);
+  historyIndex = buildHistoryIndex(appState);
+
+  const entry = getHistoryEntry(item);
+  closeHistoryEditor(item);
+  setHistoryItemText(item, entry.text);
+  showRevisionList(item, entry.revisions);
+
+  // Keep today's textarea in sync if this is the entry it shows
+  if (entryId === activeEntryId) {
+    renderReflection(entry.text);
+    updateLiveWordCount(entry.text);
+  }
+
+  updateStreakDisplay(appState.streak);
+  updateStatsDisplay();
+
+  reportSave(item.querySelector(".history-save-message"));
+  showNotification(
+    `Version ${index + 1} restored. The text it replaced is kept as a version.`,
+  );
+}
+
+/**
+ * Handle typing in a history item editor (delegated)
+ * Uses the same debounced auto-save as today's reflection
+ * @param {Event} event - Input event
+ */
+function handleHistoryListInput(event) {
+  if (!event.target.classList.contains("history-editor")) return;
+
+  const item = event.target.closest(".history-item");
+  const { date, entryId } = item.dataset;
+  const text = event.target.value;
+  const status = item.querySelector(".history-save-message");
+
+  showSaveStatus("saving", status);
+  scheduleAutoSave(entryId, text, () =>
+    saveHistoryEntry(date, entryId, text, status),
+  );
+}
+
+/**
+ * Save an entry edited from the history panel
+ * @param {string} date - Entry date (YYYY-MM-DD)
+ * @param {string} entryId - Entry id
+ * @param {string} text - New reflection text
+ * @param {HTMLElement} status - Save indicator of the history item
+ */
+function saveHistoryEntry(date, entryId, text, status) {
+  // Gone since the editor opened: say so rather than report a save
+  if (!findEntry(appState, date, entryId)) {
+    showSaveStatus("idle", status);
+    showNotification(
+      "This entry was deleted or replaced, so your edit isn't saved. Copy the text to keep it.",
+      "error",
+    );
+    return;
+  }
+
+  appState = updateReflectionEntry(appState, date, entryId, text);
+
+  // Keep the search index current without re-rendering open editors
+  historyIndex = buildHistoryIndex(appState);
+
+  // Keep today's textarea in sync if this is the entry it shows
+  if (entryId === activeEntryId) {
+    renderReflection(text);
+  }
+
+  updateStreakDisplay(appState.streak);
+  updateStatsDisplay();
+
+  reportSave(status);
+}
+
+/**
+ * Handle data export
+ * Downloads reflections as JSON file (encrypted while encryption is on)
+ */
+function handleExportData() {
+  exportData(appState)
+    .then((jsonData) => {
+      downloadFile(
+        jsonData,
+        `reflections-${getTodayDate()}.json`,
+        "application/json",
+      );
+
+      showNotification(
+        isEncryptionEnabled()
+          ? "Encrypted backup exported. It opens with your passphrase."
+          : "Data exported successfully!",
+      );
+    })
+    .catch((error) => {
+      console.error("Error exporting data:", error);
+      showNotification("Export failed.", "error");
+    });
+}
+
+/**
+ * Handle Markdown export
+ * One document, or a zip with one file per entry, for the chosen date range
+ */
+function handleMarkdownExport() {
+  const value = (id) => {
+    const input = document.getElementById(id);
+    return input ? input.value : "";
+  };
+
+  const from = value("markdown-from");
+  const to = value("markdown-to");
+
+  if (from && to && from > to) {
+    showNotification("The start date is after the end date.", "error");
+    return;
+  }
+
+  // Store anything still waiting to auto-save
+  flushAutoSave(activeEntryId);
+
+  // getAllReflections lists newest first
+  const reflections = filterReflections(getAllReflections(appState), {
+    terms: [],
+    from,
+    to,
+  });
+  if (value("markdown-order") !== "newest") {
+    reflections.reverse();
+  }
+
+  if (reflections.length === 0) {
+    showNotification("No reflections in that date range.", "error");
+    return;
+  }
+
+  const range =
+    from || to ? `${from || "start"}-to-${to || "today"}` : getTodayDate();
+
+  if (value("markdown-format") === "zip") {
+    downloadFile(
+      createZip(buildMarkdownFiles(reflections)),
+      `reflections-${range}.zip`,
+      "application/zip",
+    );
+  } else {
+    downloadFile(
+      buildMarkdownJournal(reflections, { from, to }),
+      `reflections-${range}.md`,
+      "text/markdown",
+    );
+  }
+
+  const plural = reflections.length === 1 ? "reflection" : "reflections";
+  showNotification(`Exported ${reflections.length} ${plural} as Markdown.`);
+}
+
+/**
+ * Handle CSV export (oldest first, for spreadsheets)
+ */
+function handleCsvExport() {
+  flushAutoSave(activeEntryId);
+
+  downloadFile(
+    buildCsv(getAllReflections(appState).reverse()),
+    `reflections-${getTodayDate()}.csv`,
+    "text/csv",
+  );
+
+  showNotification("CSV exported successfully!");
+}
+
+/**
+ * Handle CSV import
+ * Reads the file and shows a preview; nothing is saved until confirmed
+ * @param {File} file - CSV file
+ */
+function handleCsvImport(file) {
+  const reader = new FileReader();
+
+  reader.onload = function (event) {
+    try {
+      showImportPreview(previewCsvImport(appState, event.target.result));
+    } catch (error) {
+      console.error("Error reading CSV:", error);
+      showNotification(`Import failed: ${error.message}`, "error");
+    }
+  };
+
+  reader.onerror = function () {
+    showNotification("Error reading file.", "error");
+  };
+
+  reader.readAsText(file);
+}
+
+/**
+ * Handle Day One import
+ * Reads the JSON export and shows a preview; nothing is saved until confirmed
+ * @param {File} file - Journal.json from a Day One export
+ */
+function handleDayOneImport(file) {
+  const reader = new FileReader();
+
+  reader.onload = function (event) {
+    try {
+      showImportPreview(previewDayOneImport(appState, event.target.result));
+    } catch (error) {
+      console.error("Error reading Day One export:", error);
+      showNotification(`Import failed: ${error.message}`, "error");
+    }
+  };
+
+  reader.onerror = function () {
+    showNotification("Error reading file.", "error");
+  };
+
+  reader.readAsText(file);
+}
+
+/**
+ * Handle import of a folder of Markdown or plain-text files
+ * @param {File[]} files - Files from the folder picker
+ */
+function handleTextFolderImport(files) {
+  const textFiles = files.filter((file) =>
+    /\.(md|markdown|txt)$/i.test(file.name),
+  );
+
+  Promise.all(
+    textFiles.map(
+      (file) =>
+        new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () =>
+            resolve({
+              name: file.webkitRelativePath || file.name,
+              content: reader.result,
+            });
+          reader.onerror = () => reject(new Error("Error reading file."));
+          reader.readAsText(file);
+        }),
+    ),
+  )
+    .then((contents) => {
+      showImportPreview(previewTextFilesImport(appState, contents));
+    })
+    .catch((error) => {
+      console.error("Error reading text files:", error);
+      showNotification(`Import failed: ${error.message}`, "error");
+    });
+}
+
+/**
+ * Show rows read from an import file for review
+ * @param {Array} rows - Import rows with a status (see createImportRow)
+ */
+function showImportPreview(rows) {
+  pendingImport = rows;
+
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  showImportPanel(rows.slice(0, IMPORT_PREVIEW_ROWS), {
+    total: rows.length,
+    new: count("new"),
+    duplicate: count("duplicate"),
+    invalid: count("invalid"),
+  });
+}
+
+/**
+ * Write the previewed import rows to state
+ */
+function handleImportConfirm() {
+  if (!pendingImport) return;
+
+  const rows = pendingImport
+    .filter((row) => row.status === "new")
+    .map((row) => ({
+      date: row.date,
+      questionId: row.questionId,
+      ...(row.questionId === null && row.prompt ? { prompt: row.prompt } : {}),
+      text: row.text,
+      lastEdited: row.lastEdited,
+      tags: row.tags,
+      mood: row.mood,
+      energy: row.energy,
+    }));
+
+  const result = importReflections(appState, rows);
+  appState = result.state;
+  pendingImport = null;
+  hideImportPanel();
+
+  updateStreakDisplay(appState.streak);
+  updateStatsDisplay();
+  renderBookYears(getReflectionYears(appState));
+
+  const plural = result.added === 1 ? "reflection" : "reflections";
+  showNotification(`Imported ${result.added} ${plural}.`);
+}
+
+/**
+ * Discard the previewed import
+ */
+function handleImportCancel() {
+  pendingImport = null;
+  hideImportPanel();
+}
+
+/**
+ * Years that have reflections, plus the current one, newest first
+ * @param {object} state - Application state
+ * @returns {Array} e.g. ["2026", "2025"]
+ */
+function getReflectionYears(state) {
+  const years = new Set([getTodayDate().slice(0, 4)]);
+  getWrittenDates(state).forEach((date) => years.add(date.slice(0, 4)));
+  return [...years].sort().reverse();
+}
+
+/**
+ * Handle printable book export
+ * Opens the book in a new tab, ready for the browser's print dialog
+ */
+function handleBookExport() {
+  const yearSelect = document.getElementById("book-year");
+  const year = yearSelect ? yearSelect.value : "";
+
+  flushAutoSave(activeEntryId);
+
+  // Stats for just the reflections in the book
+  const bookState = { ...appState, reflections: {} };
+  for (const date in appState.reflections) {
+    if (!year || date.startsWith(`${year}-`)) {
+      bookState.reflections[date] = appState.reflections[date];
+    }
+  }
+
+  const reflections = getAllReflections(bookState).reverse();
+  if (reflections.length === 0) {
+    showNotification("No reflections to put in a book yet.", "error");
+    return;
+  }
+
+  const stats = calculateStats(bookState);
+  const streakStats = getStreakStats(bookState);
+  const longestRun = getStreakRuns(bookState).reduce(
+    (max, run) => Math.max(max, run.length),
+    0,
+  );
+  const days = (count) =>
+    `${formatNumber(count)} ${count === 1 ? "day" : "days"}`;
+
+  const html = buildJournalBook(reflections, {
+    title: year ? `Reflections ${year}` : "Reflections",
+    subtitle: `${formatDate(streakStats.firstReflectionDate)} – ${formatDate(streakStats.lastReflectionDate)}`,
+    summary: [
+      ["Reflections", formatNumber(stats.totalReflections)],
+      ["Days written", days(streakStats.totalDays)],
+      ["Words written", formatNumber(stats.totalWords)],
+      ["Average words per reflection", formatNumber(stats.averageWords)],
+      ["Longest reflection", `${formatNumber(stats.longestReflection)} words`],
+      ["Longest run of days", days(longestRun)],
+    ],
+  });
+
+  // Popups may be blocked: fall back to downloading the file
+  const blob = new Blob([html], { type: "text/html" });
+  const url = URL.createObjectURL(blob);
+  const opened = window.open(url, "_blank");
+  if (opened) {
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } else {
+    URL.revokeObjectURL(url);
+    downloadFile(blob, `reflections-book-${year || "all"}.html`, "text/html");
+    showNotification("Book downloaded. Open it and print to save as PDF.");
+  }
+}
+
+/**
+ * Download content as a file
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  // Create temporary download link
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+
+  // Trigger download
+  document.body.appendChild(link);
+  link.click();
+
+  // Cleanup
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Handle data import
+ * Backups are merged into the current data; the merge panel shows what
+ * will change and nothing is saved until confirmed. Encrypted backups from
+ * another passphrase ask for it first.
+ * @param {File} file - JSON file to import
+ */
+function handleImportData(file) {
+  const reader = new FileReader();
+
+  reader.onload = function (event) {
+    const jsonString = event.target.result;
+
+    readBackup(jsonString)
+      .then(showMergePreview)
+      .catch((error) => {
+        if (error.message !== "Passphrase needed") {
+          console.error("Error reading backup:", error);
+          showNotification(
+            "Import failed. Please check the file format.",
+            "error",
+          );
+          return;
+        }
+
+        requestPassphrase(
+          {
+            title: "Encrypted backup",
+            message: "Enter the passphrase this backup was made with.",
+            submitLabel: "Open backup",
+            cancellable: true,
+          },
+          (passphrase) =>
+            readBackup(jsonString, passphrase).then(showMergePreview),
+        );
+      });
+  };
+
+  reader.onerror = function () {
+    showNotification("Error reading file.", "error");
+  };
+
+  reader.readAsText(file);
+}
+
+/**
+ * Plan merging a backup and show the merge panel
+ * @param {string} jsonString - Decrypted backup
+ */
+function showMergePreview(jsonString) {
+  // Compare the backup with what was typed, not the last auto-save
+  Object.keys(pendingSaves).forEach(flushAutoSave);
+
+  try {
+    pendingMerge = planMergeImport(appState, jsonString);
+  } catch (error) {
+    console.error("Error reading backup:", error);
+    showNotification("Import failed. Please check the file format.", "error");
+    return;
+  }
+
+  showMergePanel(pendingMerge);
+  updateMergeSummary();
+}
+
+/**
+ * Recount the merge totals after a conflict choice changes
+ */
+function updateMergeSummary() {
+  if (!pendingMerge) return;
+
+  const choices = getConflictChoices("merge-conflicts");
+  const updated = pendingMerge.conflicts.filter(
+    (conflict, index) => (choices[index] || conflict.newer) === "incoming",
+  ).length;
+
+  renderMergeSummary({
+    added: pendingMerge.added.length,
+    updated,
+    skipped: pendingMerge.skipped + pendingMerge.conflicts.length - updated,
+    questions: pendingMerge.questions.length,
+  });
+}
+
+/**
+ * Pick the newer version of every conflict again
+ */
+function handleMergeKeepNewer() {
+  if (!pendingMerge) return;
+
+  showMergePanel(pendingMerge);
+  updateMergeSummary();
+}
+
+/**
+ * Merge the previewed backup into the current data
+ */
+function handleMergeConfirm() {
+  if (!pendingMerge) return;
+
+  // A save still waiting would overwrite the merged entry afterwards
+  Object.keys(pendingSaves).forEach(flushAutoSave);
+
+  const result = applyMergeImport(
+    appState,
+    pendingMerge,
+    getConflictChoices("merge-conflicts"),
+  );
+  appState = result.state;
+  pendingMerge = null;
+  hideMergePanel();
+
+  // The backup may have changed today's entry or filled in missed days
+  renderReflection(getTodayReflection(appState, activeEntryId));
+  renderEntryDetails(findEntry(appState, getTodayDate(), activeEntryId));
+  updateLiveWordCount(getTodayReflection(appState, activeEntryId));
+  updateStreakDisplay(appState.streak);
+  updateStatsDisplay();
+  renderBookYears(getReflectionYears(appState));
+  updateMissedCount(getMissedDays(appState).length);
+  updateEntryInfo(countEarlierEntries(appState, activeEntryId));
+
+  const plural = result.added === 1 ? "reflection" : "reflections";
+  showNotification(
+    `Merged backup: ${result.added} new ${plural}, ${result.updated} updated.`,
+  );
+}
+
 /**
- * Initialize the application
- * Called when DOM is ready
+ * Discard the previewed backup
  */
-function initApp() {
-  // Initialize theme FIRST (before rendering UI)
-  initTheme();
-
-  // Load saved state
-  appState = loadState();
+function handleMergeCancel() {
+  pendingMerge = null;
+  hideMergePanel();
+}
 
-  // Store the previous question ID before updating
-  const previousQuestionId = appState.currentQuestionId;
+/**
+ * Build the question list shown in the question manager
+ * @param {object} state - Application state
+ * @returns {Array} Question objects with custom/retired flags and answer counts
+ */
+function getQuestionBankView(state) {
+  const answerCounts = {};
+
+  Object.values(state.reflections)
+    .flat()
+    .filter(hasReflectionText)
+    .forEach((entry) => {
+      answerCounts[entry.questionId] =
+        (answerCounts[entry.questionId] || 0) + 1;
+    });
+
+  return getAllQuestions().map((question) => ({
+    id: question.id,
+    text: question.text,
+    category: getQuestionCategory(question),
+    tags: question.tags || [],
+    custom: isCustomQuestion(question.id),
+    retired: isQuestionRetired(question.id),
+    answerCount: answerCounts[question.id] || 0,
+  }));
+}
 
-  // Check if we need a new question today
-  appState = updateQuestionIfNeeded(appState);
+/**
+ * Open the question manager
+ */
+function handleQuestionsOpen() {
+  showQuestionsPanel(getQuestionBankView(appState));
+}
 
-  // Detect if question rotated (new day)
-  const isNewDay = previousQuestionId !== appState.currentQuestionId;
+/**
+ * Get every answer to one question, oldest first
+ * @param {number} questionId - Question id
+ * @returns {Array} Reflection objects (see getAllReflections) with `words`
+ */
+function getQuestionAnswers(questionId) {
+  return getAllReflections(appState)
+    .filter((reflection) => reflection.questionId === questionId)
+    .reverse()
+    .map((reflection) => ({
+      ...reflection,
+      words: countWords(reflection.reflectionText),
+    }));
+}
 
-  // Calculate current streak (in case it wasn't updated)
-  appState.streak = calculateStreak(appState);
-  saveState(appState);
+/**
+ * Open the insights view for a question
+ * @param {number} questionId - Question to show
+ */
+function handleInsightsOpen(questionId) {
+  const answers = getQuestionAnswers(questionId);
+  const question = getQuestionById(questionId);
+
+  // Questions with answers, plus this one even if it has none yet
+  const questions = getAnsweredQuestions(getAllReflections(appState));
+  if (question && !questions.some((q) => q.id === questionId)) {
+    questions.push({ id: question.id, text: question.text });
+    questions.sort((a, b) => a.id - b.id);
+  }
 
-  // Get today's question
-  const question = getQuestionById(appState.currentQuestionId);
+  showInsightsPanel(questions, questionId, answers);
+  updateInsightsSummary(answers);
+  updateInsightsDiff();
+}
 
-  // Get today's reflection (empty string for new day)
-  const reflectionText = getTodayReflection(appState);
+/**
+ * Describe how the answers to a question have changed over time
+ * @param {Array} answers - From getQuestionAnswers, oldest first
+ */
+function updateInsightsSummary(answers) {
+  const summary = document.getElementById("insights-summary");
+  if (!summary) return;
 
-  // Initialize UI with current data
-  renderApp({
-    question: question,
-    reflection: reflectionText,
-    streak: appState.streak,
-    date: getTodayDate(),
-  });
+  if (answers.length === 0) {
+    summary.textContent = "You haven't answered this question yet.";
+    return;
+  }
 
-  // Initialize statistics display
-  updateStatsDisplay();
+  const totalWords = answers.reduce((sum, answer) => sum + answer.words, 0);
+  const first = answers[0];
+  const last = answers[answers.length - 1];
+  const average = Math.round(totalWords / answers.length);
+  const plural = answers.length === 1 ? "answer" : "answers";
+  const wordsPlural = average === 1 ? "word" : "words";
 
-  // Set up event listeners
-  setupEventListeners();
+  summary.textContent = `${answers.length} ${plural} · ${formatNumber(average)} ${wordsPlural} on average`;
 
-  // Log for debugging
-  if (isNewDay) {
-    console.log("New day detected - question rotated");
+  if (answers.length > 1) {
+    summary.textContent += ` · ${formatDate(first.date)} to ${formatDate(last.date)}`;
   }
-  console.log("App initialized:", appState);
 }
 
 /**
- * Set up event listeners for user interactions
+ * Diff the two answers picked in the insights list
  */
-function setupEventListeners() {
-  // Reflection textarea - auto-save on input
-  const textarea = document.getElementById("reflection-input");
-  if (textarea) {
-    textarea.addEventListener("input", handleReflectionInput);
-  }
+function updateInsightsDiff() {
+  const before = document.querySelector(
+    '#insights-list input[name="insights-before"]:checked',
+  );
+  const after = document.querySelector(
+    '#insights-list input[name="insights-after"]:checked',
+  );
 
-  // History toggle button
-  const historyToggle = document.getElementById("history-toggle");
-  if (historyToggle) {
-    historyToggle.addEventListener("click", handleHistoryToggle);
+  if (!before || !after || before.value === after.value) {
+    renderAnswerDiff(null);
+    return;
   }
 
-  // History close button
-  const historyClose = document.getElementById("history-close");
-  if (historyClose) {
-    historyClose.addEventListener("click", handleHistoryClose);
-  }
+  const answers = getQuestionAnswers(
+    Number(document.getElementById("insights-question").value),
+  );
+  const find = (entryId) =>
+    answers.find((answer) => answer.entryId === entryId);
+  const older = find(before.value);
+  const newer = find(after.value);
+  if (!older || !newer) return;
+
+  renderAnswerDiff({
+    before: older,
+    after: newer,
+    parts: diffWords(older.reflectionText, newer.reflectionText),
+  });
+}
 
-  // Export data button
-  const exportBtn = document.getElementById("export-data");
-  if (exportBtn) {
-    exportBtn.addEventListener("click", handleExportData);
-  }
+/**
+ * Refresh the question manager and today's question after a bank change
+ */
+function refreshQuestionBank() {
+  renderQuestionList(getQuestionBankView(appState));
+  renderQuestion(getQuestionById(appState.currentQuestionId), getTodayDate());
+}
 
-  const themeToggle = document.getElementById("theme-toggle");
-  if (themeToggle) {
-    themeToggle.addEventListener("click", toggleTheme);
+/**
+ * Handle adding a custom question
+ * @param {Event} event - Form submit event
+ */
+function handleQuestionAdd(event) {
+  event.preventDefault();
+
+  const input = document.getElementById("question-add-input");
+  const category = document.getElementById("question-add-category");
+  const tags = document.getElementById("question-add-tags");
+  const text = input ? input.value.trim() : "";
+  if (text.length === 0) return;
+
+  appState = addCustomQuestion(appState, {
+    text,
+    category: category ? category.value : "deep",
+    tags: parseTags(tags ? tags.value : ""),
+  });
+  input.value = "";
+  if (tags) {
+    tags.value = "";
   }
+  refreshQuestionBank();
+  showNotification("Question added to your rotation.");
 }
 
-// Import data input
-const importInput = document.getElementById("import-data-input");
-if (importInput) {
-  importInput.addEventListener("change", function (event) {
-    const file = event.target.files[0];
-    if (file) {
-      handleImportData(file);
+/**
+ * Handle question list buttons (delegated)
+ * @param {Event} event - Click event
+ */
+function handleQuestionListClick(event) {
+  const button = event.target.closest("button[data-action]");
+  if (!button) return;
+
+  const item = button.closest(".question-item");
+  const id = Number(item.dataset.questionId);
+
+  switch (button.dataset.action) {
+    case "edit":
+      openQuestionEditor(item);
+      break;
+    case "cancel":
+      renderQuestionList(getQuestionBankView(appState));
+      break;
+    case "save": {
+      const input = item.querySelector(".question-editor");
+      const category = item.querySelector(".question-editor-category");
+      const tags = item.querySelector(".question-editor-tags");
+      const text = input ? input.value.trim() : "";
+      if (text.length === 0) {
+        showNotification("A question can't be empty.", "error");
+        return;
+      }
+      appState = updateCustomQuestion(appState, id, {
+        text,
+        category: category ? category.value : "deep",
+        tags: parseTags(tags ? tags.value : ""),
+      });
+      refreshQuestionBank();
+      break;
     }
-  });
+    case "retire":
+      // The rotation always needs at least one question
+      if (getActiveQuestions().length <= 1) {
+        showNotification("Keep at least one question in rotation.", "error");
+        return;
+      }
+      appState = setQuestionRetired(appState, id, true);
+      refreshQuestionBank();
+      break;
+    case "restore":
+      appState = setQuestionRetired(appState, id, false);
+      refreshQuestionBank();
+      break;
+    case "answers":
+      handleInsightsOpen(id);
+      break;
+  }
 }
 
-// Clear data button
-const clearBtn = document.getElementById("clear-data");
-if (clearBtn) {
-  clearBtn.addEventListener("click", handleClearData);
+/**
+ * Parse a comma-separated tag list
+ * @param {string} input - e.g. "Work, #courage"
+ * @returns {Array} Unique lower-case tags without leading '#'
+ */
+function parseTags(input) {
+  const tags = input
+    .split(",")
+    .map((tag) => tag.trim().replace(/^#+/, "").toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
 }
 
 /**
- * Handle reflection textarea input
- * Debounced auto-save: waits for user to stop typing
- * @param {Event} event - Input event
+ * Ask for a passphrase on the lock screen
+ * @param {object} options - See showLockScreen()
+ * @param {Function} submit - Called with the passphrase; returns a promise,
+ *   and the form stays open with the error message if it rejects
  */
-function handleReflectionInput(event) {
-  const text = event.target.value;
+function requestPassphrase(options, submit) {
+  passphraseRequest = { submit };
+  showLockScreen(options);
+}
 
-  // Update live word count immediately
-  updateLiveWordCount(text);
+/**
+ * Handle the passphrase form
+ * @param {Event} event - Submit event
+ */
+function handleLockSubmit(event) {
+  event.preventDefault();
+  if (!passphraseRequest) return;
+
+  const passphrase = document.getElementById("lock-passphrase").value;
+  setLockScreenBusy(true);
+
+  passphraseRequest
+    .submit(passphrase)
+    .then(() => {
+      passphraseRequest = null;
+      hideLockScreen();
+    })
+    .catch((error) => {
+      showLockError(error.message);
+    })
+    .finally(() => {
+      setLockScreenBusy(false);
+    });
+}
 
-  // Clear existing timer
-  if (autoSaveTimer) {
-    clearTimeout(autoSaveTimer);
+/**
+ * Close the passphrase form without using it (only offered for backups)
+ */
+function handleLockCancel() {
+  passphraseRequest = null;
+  hideLockScreen();
+}
+
+/**
+ * Lock the journal: cover the page and forget the key right away, then
+ * restart once the queued saves are written
+ * Reloading clears every reflection from memory and the page. If saving
+ * failed, nothing reloads: the unsaved text stays in memory, and comes back
+ * only with the passphrase
+ */
+function lockJournal() {
+  if (!isEncryptionEnabled() || isJournalLocked()) return;
+
+  Object.keys(pendingSaves).forEach(flushAutoSave);
+  clearTimeout(autoLockTimer);
+
+  // Changes a save lost are tried once more, while there is still a key
+  if (saveFailure) {
+    clearTimeout(saveRetryTimer);
+    saveState(appState);
   }
 
-  // Show "saving..." indicator immediately
-  showSaveStatus("saving");
+  passphraseRequest = null;
+  showLockScreen({
+    title: "Journal locked",
+    message: "Finishing saving...",
+    submitLabel: "Unlock",
+    cancellable: false,
+  });
+  setLockScreenBusy(true);
 
-  // Set new timer to save after user stops typing
-  autoSaveTimer = setTimeout(() => {
-    saveReflection(text);
-  }, AUTO_SAVE_DELAY);
+  lockState().then((result) => {
+    if (result.ok) {
+      saveFailure = null;
+      location.reload();
+      return;
+    }
+
+    setLockScreenBusy(false);
+    requestPassphrase(
+      {
+        title: "Journal locked",
+        message:
+          "Some changes couldn't be saved. Enter your passphrase to get back to them; reloading the page drops them.",
+        submitLabel: "Unlock",
+        cancellable: false,
+      },
+      (passphrase) =>
+        resumeState(passphrase).then(() => {
+          handleSaveFailure(result);
+          resetAutoLock();
+        }),
+    );
+  });
 }
 
 /**
- * Save the reflection to state
- * @param {string} text - Reflection text
+ * Restart the auto-lock countdown
  */
-function saveReflection(text) {
-  // Save to state and get updated state back
-  appState = saveTodayReflection(appState, text);
+function resetAutoLock() {
+  clearTimeout(autoLockTimer);
 
-  // Update UI with new streak (if changed)
-  updateStreakDisplay(appState.streak);
+  const minutes = appState.settings.autoLockMinutes;
+  if (isEncryptionEnabled() && !isJournalLocked() && minutes > 0) {
+    autoLockTimer = setTimeout(lockJournal, minutes * 60 * 1000);
+  }
+}
 
-  // Update all statistics
-  updateStatsDisplay();
+/**
+ * Turn on encryption, or change the passphrase
+ */
+function handleEncryptionEnable() {
+  const passphrase = document.getElementById("encryption-passphrase").value;
+  const repeated = document.getElementById("encryption-confirm").value;
+
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    showNotification(
+      `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`,
+      "error",
+    );
+    return;
+  }
+  if (passphrase !== repeated) {
+    showNotification("The passphrases don't match.", "error");
+    return;
+  }
 
-  // Show "saved" indicator
-  showSaveStatus("saved");
+  const changing = isEncryptionEnabled();
+  Object.keys(pendingSaves).forEach(flushAutoSave);
 
-  // Clear "saved" message after 2 seconds
-  setTimeout(() => {
-    showSaveStatus("idle");
-  }, 2000);
+  enableEncryption(appState, passphrase)
+    .then(() => {
+      renderEncryptionSettings({
+        supported: true,
+        enabled: true,
+        autoLockMinutes: appState.settings.autoLockMinutes,
+      });
+      resetAutoLock();
+      showNotification(
+        changing
+          ? "Passphrase changed. Older encrypted backups keep the old one."
+          : "Journal encrypted. Keep your passphrase safe: it can't be recovered.",
+      );
+    })
+    .catch((error) => {
+      console.error("Error encrypting journal:", error);
+      showNotification("Encryption failed.", "error");
+      renderEncryptionSettings({
+        supported: true,
+        enabled: isEncryptionEnabled(),
+        autoLockMinutes: appState.settings.autoLockMinutes,
+      });
+    });
 }
 
 /**
- * Handle history panel toggle
+ * Turn off encryption (after confirming)
  */
-function handleHistoryToggle() {
-  // Get all reflections from state
-  const reflections = getAllReflections(appState);
+function handleEncryptionDisable() {
+  const confirmed = confirm(
+    "Store your reflections without encryption? Anyone using this browser will be able to read them.",
+  );
+  if (!confirmed) return;
+
+  Object.keys(pendingSaves).forEach(flushAutoSave);
 
-  // Show history panel with reflections
-  showHistoryPanel(reflections);
+  disableEncryption(appState)
+    .then(() => {
+      clearTimeout(autoLockTimer);
+      renderEncryptionSettings({
+        supported: true,
+        enabled: false,
+        autoLockMinutes: appState.settings.autoLockMinutes,
+      });
+      showNotification("Encryption turned off.");
+    })
+    .catch((error) => {
+      console.error("Error decrypting journal:", error);
+      showNotification("Turning off encryption failed.", "error");
+    });
 }
 
 /**
- * Handle history panel close
+ * Handle the auto-lock delay setting
+ * @param {Event} event - Change event
  */
-function handleHistoryClose() {
-  hideHistoryPanel();
+function handleAutoLockChange(event) {
+  appState = updateSettings(appState, {
+    autoLockMinutes: Number(event.target.value),
+  });
+  resetAutoLock();
 }
 
 /**
- * Handle data export
- * Downloads reflections as JSON file
+ * Handle rotation mode change in settings
+ * @param {Event} event - Change event
  */
-function handleExportData() {
-  const jsonData = exportData();
-  const blob = new Blob([jsonData], { type: "application/json" });
-  const url = URL.createObjectURL(blob);
-
-  // Create temporary download link
-  const link = document.createElement("a");
-  link.href = url;
-  link.download = `reflections-${getTodayDate()}.json`;
+function handleRotationModeChange(event) {
+  appState = updateSettings(appState, { rotationMode: event.target.value });
+  showNotification("Rotation updated. It applies from tomorrow's question.");
+}
 
-  // Trigger download
-  document.body.appendChild(link);
-  link.click();
+/**
+ * Handle question order (selection strategy) change in settings
+ * @param {Event} event - Change event
+ */
+function handleQuestionStrategyChange(event) {
+  appState = updateSettings(appState, { questionStrategy: event.target.value });
+  showNotification("Question order updated. It applies from tomorrow.");
+}
 
-  // Cleanup
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+/**
+ * Handle question pack export
+ * Downloads the active custom questions as JSON
+ */
+function handleQuestionPackExport() {
+  if (appState.questionBank.custom.every((q) => isQuestionRetired(q.id))) {
+    showNotification("Add some questions of your own first.", "error");
+    return;
+  }
 
-  showNotification("Data exported successfully!");
+  downloadFile(
+    exportQuestionPack(appState),
+    `questions-${getTodayDate()}.json`,
+    "application/json",
+  );
+  showNotification("Question pack exported!");
 }
 
 /**
- * Handle data import
- * @param {File} file - JSON file to import
+ * Handle question pack import
+ * @param {File} file - JSON question pack
  */
-function handleImportData(file) {
+function handleQuestionPackImport(file) {
   const reader = new FileReader();
 
   reader.onload = function (event) {
-    const jsonString = event.target.result;
-    const success = importData(jsonString);
-
-    if (success) {
-      showNotification("Data imported successfully!");
-      // Reload the app with new data
-      location.reload();
-    } else {
+    try {
+      const result = importQuestionPack(appState, event.target.result);
+      appState = result.state;
+      refreshQuestionBank();
+
+      const plural = result.added === 1 ? "question" : "questions";
+      const skipped = result.skipped > 0 ? ` (${result.skipped} skipped)` : "";
+      showNotification(`Imported ${result.added} ${plural}${skipped}.`);
+    } catch (error) {
+      console.error("Error importing question pack:", error);
       showNotification("Import failed. Please check the file format.", "error");
     }
   };
@@ -242,13 +2451,14 @@ function handleClearData() {
   );
 
   if (confirmed) {
-    const success = clearAllData();
-    if (success) {
-      showNotification("All data cleared.");
-      location.reload();
-    } else {
-      showNotification("Error clearing data.", "error");
-    }
+    clearAllData().then((success) => {
+      if (success) {
+        showNotification("All data cleared.");
+        location.reload();
+      } else {
+        showNotification("Error clearing data.", "error");
+      }
+    });
   }
 }
 
@@ -256,43 +2466,76 @@ function handleClearData() {
  * Get all reflections with their questions
  * Returns array sorted by date (most recent first)
  * @param {object} state - Application state
+ * @param {object} [options] - { withCleared }: also list entries whose text
+ *   was deleted but has earlier versions (the history panel restores them)
  * @returns {Array} Array of reflection objects
  */
-function getAllReflections(state) {
+function getAllReflections(state, options = {}) {
   const reflections = [];
 
-  // Convert reflections object to array
+  // Flatten each day's entries into one list
   for (const date in state.reflections) {
-    const reflection = state.reflections[date];
+    getDayEntries(state, date).forEach((entry) => {
+      const revisions = entry.revisions || [];
 
-    // Only include reflections with text
-    if (reflection.text && reflection.text.trim().length > 0) {
-      const question = getQuestionById(reflection.questionId);
+      // Only include reflections with text
+      if (
+        !hasReflectionText(entry) &&
+        !(options.withCleared && revisions.length > 0)
+      ) {
+        return;
+      }
+
+      const question = getQuestionById(entry.questionId);
 
       reflections.push({
         date: date,
-        questionText: question ? question.text : "Question not found",
-        reflectionText: reflection.text,
-        lastEdited: reflection.lastEdited,
+        entryId: entry.id,
+        questionId: entry.questionId,
+        questionText: getEntryQuestionText(entry, question),
+        backfilled: Boolean(entry.backfilled),
+        reflectionText: entry.text,
+        mood: entry.mood || null,
+        energy: entry.energy || null,
+        tags: entry.tags || [],
+        revisions: revisions,
+        createdAt: entry.createdAt,
+        lastEdited: entry.lastEdited,
       });
-    }
+    });
   }
 
-  // Sort by date, most recent first
-  reflections.sort((a, b) => b.date.localeCompare(a.date));
+  // Sort by date, most recent first (then latest entry of the day first)
+  reflections.sort(
+    (a, b) =>
+      b.date.localeCompare(a.date) ||
+      (b.createdAt || "").localeCompare(a.createdAt || ""),
+  );
 
   return reflections;
 }
 
+/**
+ * Question text shown with an entry
+ * Free writes show their imported prompt, if they came with one
+ * @param {object} entry - Reflection entry
+ * @param {object|null} question - Its question, if found
+ * @returns {string}
+ */
+function getEntryQuestionText(entry, question) {
+  if (question) return question.text;
+  if (entry.questionId === null) return entry.prompt || FREE_WRITE_LABEL;
+  return "Question not found";
+}
+
 /**
  * Format date for display
  * @param {string} dateString - Date in YYYY-MM-DD format
  * @returns {string} Formatted date (e.g., "January 10, 2026")
  */
 function formatDate(dateString) {
-  const date = new Date(dateString + "T00:00:00"); // Add time to prevent timezone issues
   const options = { year: "numeric", month: "long", day: "numeric" };
-  return date.toLocaleDateString("en-US", options);
+  return formatDateKey(dateString, options);
 }
 
 /**
@@ -367,17 +2610,297 @@ function toggleTheme() {
 }
 /**
  * Update statistics display
- * Called on init and after saving reflection
+ * Called on init, after saving a reflection and when the stats panel opens
  */
 function updateStatsDisplay() {
-  const stats = calculateStats(appState);
-  const streakStats = getStreakStats(appState);
-
   // Update current word count (always visible)
-  updateCurrentWordCount(stats.currentWords);
+  updateCurrentWordCount(
+    countWords(getTodayReflection(appState, activeEntryId)),
+  );
+
+  // The rest scans the whole history, so it only renders while the panel is
+  // open: every auto-save lands here
+  if (!isStatsPanelOpen()) return;
 
   // Update detailed stats
-  updateDetailedStats(stats, streakStats);
+  updateDetailedStats(
+    calculateStats(appState, activeEntryId),
+    getStreakStats(appState),
+  );
+
+  // Calendar heatmap
+  updateHeatmap();
+
+  // Trend charts
+  updateTrends();
+
+  // Most skipped questions (top 3)
+  renderSkipStats(
+    getSkipStats(appState)
+      .slice(0, 3)
+      .map((skip) => {
+        const question = getQuestionById(skip.questionId);
+        return {
+          text: question ? question.text : "Question not found",
+          count: skip.count,
+        };
+      }),
+  );
+}
+
+/**
+ * Whether the writing stats are expanded
+ * @returns {boolean}
+ */
+function isStatsPanelOpen() {
+  const details = document.getElementById("stats-details");
+  return Boolean(details && details.open);
+}
+
+/**
+ * Render the heatmap for the selected year
+ */
+function updateHeatmap() {
+  const today = getTodayDate();
+  const currentYear = Number(today.slice(0, 4));
+  const writtenDates = getWrittenDates(appState);
+  const firstYear = writtenDates.length
+    ? Number(writtenDates[0].slice(0, 4))
+    : currentYear;
+
+  const year = heatmapYear || currentYear;
+  const yearRuns = getStreakRuns(appState).filter(
+    (run) =>
+      run.end.startsWith(String(year)) || run.start.startsWith(String(year)),
+  );
+  const longestRun = yearRuns.reduce(
+    (max, run) => Math.max(max, run.length),
+    0,
+  );
+  const daysWritten = writtenDates.filter((date) =>
+    date.startsWith(String(year)),
+  ).length;
+
+  const plural = daysWritten === 1 ? "day" : "days";
+  const summary =
+    daysWritten === 0
+      ? `No reflections in ${year}.`
+      : `${daysWritten} ${plural} written in ${year} · longest run ${longestRun} ${longestRun === 1 ? "day" : "days"}`;
+
+  renderHeatmap(year, buildHeatmapDays(appState, year), {
+    hasPrev: year > firstYear,
+    hasNext: year < currentYear,
+    summary,
+  });
+}
+
+/**
+ * Build heatmap cell data for a year
+ * Shaded by words written, outlined when part of a streak run
+ * @param {object} state - Application state
+ * @param {number} year - Calendar year
+ * @returns {object} { [date]: { level, title, classes } }
+ */
+function buildHeatmapDays(state, year) {
+  const prefix = `${year}-`;
+  const wordCounts = getDailyWordCounts(state);
+  const yearDates = Object.keys(wordCounts).filter((date) =>
+    date.startsWith(prefix),
+  );
+  const maxWords = yearDates.reduce(
+    (max, date) => Math.max(max, wordCounts[date]),
+    0,
+  );
+
+  // Dates in runs of two or more consecutive days
+  const streakDates = new Set();
+  getStreakRuns(state)
+    .filter((run) => run.length > 1)
+    .forEach((run) => {
+      for (
+        let date = run.start;
+        date <= run.end;
+        date = addDaysToDate(date, 1)
+      ) {
+        streakDates.add(date);
+      }
+    });
+
+  const days = {};
+
+  yearDates.forEach((date) => {
+    const words = wordCounts[date];
+    days[date] = {
+      level: maxWords > 0 ? Math.max(1, Math.ceil((words / maxWords) * 4)) : 1,
+      title: `${formatDate(date)}: ${formatNumber(words)} ${words === 1 ? "word" : "words"}`,
+      classes: streakDates.has(date) ? ["heatmap-streak"] : [],
+    };
+  });
+
+  // Gaps bridged by a streak freeze
+  (state.streak.freezesUsed || [])
+    .filter((date) => date.startsWith(prefix))
+    .forEach((date) => {
+      days[date] = {
+        level: 0,
+        title: `${formatDate(date)}: streak freeze used`,
+        classes: ["heatmap-frozen"],
+      };
+    });
+
+  return days;
+}
+
+/**
+ * Render the trend charts (words over time, time of day, completion)
+ */
+function updateTrends() {
+  const period = TREND_PERIODS[trendPeriod];
+  const shortMonth = (date) => formatDateKey(date, { month: "short" });
+
+  const describePeriod = (start) =>
+    trendPeriod === "month"
+      ? formatDateKey(start, { month: "long", year: "numeric" })
+      : `${trendPeriod === "week" ? "Week of " : ""}${formatDate(start)}`;
+
+  // Label roughly six bars so the axis stays readable
+  const labelEvery = Math.ceil(period.count / 6);
+  const periodLabel = (start, index) =>
+    (period.count - 1 - index) % labelEvery === 0
+      ? trendPeriod === "month"
+        ? shortMonth(start)
+        : formatDateKey(start, { month: "numeric", day: "numeric" })
+      : "";
+
+  const wordTrend = getWordTrend(appState, trendPeriod);
+  const words = wordTrend.map((bucket, index) => {
+    const plural = bucket.words === 1 ? "word" : "words";
+    return {
+      value: bucket.words,
+      label: periodLabel(bucket.start, index),
+      title: `${describePeriod(bucket.start)}: ${formatNumber(bucket.words)} ${plural} (average ${formatNumber(bucket.average)})`,
+    };
+  });
+
+  const hours = getWritingHours(appState).map((count, hour) => {
+    const plural = count === 1 ? "entry" : "entries";
+    return {
+      value: count,
+      label: hour % 6 === 0 ? `${hour}h` : "",
+      title: `${hour}:00-${hour}:59: ${count} ${plural}`,
+    };
+  });
+
+  const completion = getMonthlyCompletion(appState)
+    .slice(-12)
+    .map((month) => ({
+      value: month.rate,
+      label: shortMonth(month.month),
+      title: `${formatDateKey(month.month, { month: "long", year: "numeric" })}: ${month.written} of ${month.days} days (${month.rate}%)`,
+    }));
+
+  const mood = getMoodTrend(appState, trendPeriod).map((bucket, index) => ({
+    value: bucket.mood || 0,
+    label: periodLabel(bucket.start, index),
+    title:
+      bucket.count === 0
+        ? `${describePeriod(bucket.start)}: no rated entries`
+        : `${describePeriod(bucket.start)}: mood ${bucket.mood} of 5 (${bucket.count} rated)`,
+  }));
+
+  const moodWords = getWordsByMood(appState).map((level) => {
+    const plural = level.entries === 1 ? "entry" : "entries";
+    return {
+      value: level.averageWords,
+      label: MOOD_LEVELS[level.mood].split(" ")[0],
+      title: `${MOOD_LEVELS[level.mood]}: ${formatNumber(level.averageWords)} words on average (${level.entries} ${plural})`,
+    };
+  });
+  const hasRatings = moodWords.some((level) => level.value > 0);
+
+  renderTrendCharts({
+    period: trendPeriod,
+    window: `(${period.window} ${trendPeriod}s)`,
+    words: { bars: words, line: wordTrend.map((bucket) => bucket.average) },
+    hours,
+    completion,
+    mood: hasRatings ? mood : [],
+    moodWords: hasRatings ? moodWords : [],
+  });
+}
+
+/**
+ * Switch the heatmap to the previous or next year
+ * @param {number} delta - -1 or 1
+ */
+function changeHeatmapYear(delta) {
+  const currentYear = Number(getTodayDate().slice(0, 4));
+  heatmapYear = (heatmapYear || currentYear) + delta;
+  updateHeatmap();
+}
+
+/**
+ * Open the reflections of a heatmap day in the history panel
+ * @param {Event} event - Click event
+ */
+function handleHeatmapClick(event) {
+  const cell = event.target.closest("[data-date]");
+  if (!cell) return;
+
+  const date = cell.getAttribute("data-date");
+  if (!isDayWritten(appState, date)) return;
+
+  openHistoryForDate(date);
+}
+
+/**
+ * Open the history panel showing only one day
+ * @param {string} date - YYYY-MM-DD
+ */
+function openHistoryForDate(date) {
+  const filters = {
+    "history-search": "",
+    "history-question": "",
+    "history-mood": "",
+    "history-tag": "",
+    "history-from": date,
+    "history-to": date,
+  };
+
+  for (const id in filters) {
+    const input = document.getElementById(id);
+    if (input) {
+      input.value = filters[id];
+    }
+  }
+
+  handleHistoryToggle();
+}
+
+/**
+ * Render the most skipped questions list
+ * @param {Array} skips - { text, count } objects, most skipped first
+ */
+function renderSkipStats(skips) {
+  const container = document.getElementById("skip-stats");
+  const list = document.getElementById("skip-stats-list");
+  if (!container || !list) return;
+
+  list.innerHTML = "";
+
+  if (skips.length === 0) {
+    container.setAttribute("hidden", "");
+    return;
+  }
+
+  skips.forEach((skip) => {
+    const item = document.createElement("li");
+    const times = skip.count === 1 ? "time" : "times";
+    item.textContent = `${skip.text} (skipped ${skip.count} ${times})`;
+    list.appendChild(item);
+  });
+
+  container.removeAttribute("hidden");
 }
 
 /**
@@ -0,0 +1,191 @@
+/**
+ * Charts
+ * Dependency-free SVG chart builders
+ * Return detached SVG elements; callers decide where they go
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - SVG tag name
+ * @param {object} [attributes] - Attribute name/value pairs
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  for (const name in attributes) {
+    element.setAttribute(name, attributes[name]);
+  }
+  return element;
+}
+
+/**
+ * Build a GitHub-style year heatmap
+ * One column per week (Sunday first), one cell per day
+ * @param {number} year - Calendar year to draw
+ * @param {object} days - { [YYYY-MM-DD]: { level (0-4), title, classes } }
+ * @returns {SVGElement} Cells carry data-date for click handling
+ */
+function createHeatmapSvg(year, days) {
+  const cell = 11;
+  const gap = 2;
+  const step = cell + gap;
+  const top = 16; // room for month labels
+  const left = 28; // room for weekday labels
+
+  const firstDay = `${year}-01-01`;
+  const lastDay = `${year}-12-31`;
+  const firstWeekday = getWeekdayOfDate(firstDay);
+  const weeks = Math.ceil(
+    (firstWeekday + daysBetweenDates(firstDay, lastDay) + 1) / 7,
+  );
+
+  const svg = createSvgElement("svg", {
+    viewBox: `0 0 ${left + weeks * step} ${top + 7 * step}`,
+    class: "heatmap-svg",
+    role: "img",
+    "aria-label": `Reflections in ${year}`,
+  });
+
+  // Weekday labels (Mon, Wed, Fri like GitHub)
+  [
+    [1, "Mon"],
+    [3, "Wed"],
+    [5, "Fri"],
+  ].forEach(([weekday, label]) => {
+    const text = createSvgElement("text", {
+      x: 0,
+      y: top + weekday * step + cell - 2,
+      class: "heatmap-label",
+    });
+    text.textContent = label;
+    svg.appendChild(text);
+  });
+
+  for (let date = firstDay; date <= lastDay; date = addDaysToDate(date, 1)) {
+    const index = firstWeekday + daysBetweenDates(firstDay, date);
+    const week = Math.floor(index / 7);
+    const weekday = index % 7;
+    const day = days[date] || { level: 0, title: formatDateKey(date, {}) };
+
+    // Month label above the first week of each month
+    if (date.endsWith("-01")) {
+      const label = createSvgElement("text", {
+        x: left + week * step,
+        y: top - 5,
+        class: "heatmap-label",
+      });
+      label.textContent = formatDateKey(date, { month: "short" });
+      svg.appendChild(label);
+    }
+
+    const rect = createSvgElement("rect", {
+      x: left + week * step,
+      y: top + weekday * step,
+      width: cell,
+      height: cell,
+      rx: 2,
+      class: ["heatmap-cell", `heatmap-level-${day.level}`]
+        .concat(day.classes || [])
+        .join(" "),
+      "data-date": date,
+    });
+
+    const title = createSvgElement("title");
+    title.textContent = day.title;
+    rect.appendChild(title);
+
+    svg.appendChild(rect);
+  }
+
+  return svg;
+}
+
+/**
+ * Build a bar chart, optionally with a line drawn over the bars
+ * @param {Array} bars - { value, label, title } oldest/first on the left;
+ *   label is shown under the bar ("" for none)
+ * @param {object} options - { ariaLabel, max, line }
+ *   max: top of the scale (defaults to the largest value)
+ *   line: one value per bar, e.g. a rolling average
+ * @returns {SVGElement}
+ */
+function createBarChartSvg(bars, options) {
+  const width = 300;
+  const height = 100;
+  const top = 10; // room for the scale label
+  const bottom = 14; // room for bar labels
+  const plotHeight = height - top - bottom;
+  const slot = width / Math.max(bars.length, 1);
+  const barWidth = Math.max(slot - 2, 1);
+
+  const values = bars.map((bar) => bar.value).concat(options.line || []);
+  const max = options.max || Math.max(1, ...values);
+  const y = (value) => top + plotHeight - (value / max) * plotHeight;
+
+  const svg = createSvgElement("svg", {
+    viewBox: `0 0 ${width} ${height}`,
+    class: "chart-svg",
+    role: "img",
+    "aria-label": options.ariaLabel,
+  });
+
+  const scale = createSvgElement("text", {
+    x: 0,
+    y: top - 2,
+    class: "chart-label",
+  });
+  scale.textContent = formatNumber(max);
+  svg.appendChild(scale);
+
+  svg.appendChild(
+    createSvgElement("line", {
+      x1: 0,
+      y1: top + plotHeight,
+      x2: width,
+      y2: top + plotHeight,
+      class: "chart-axis",
+    }),
+  );
+
+  bars.forEach((bar, index) => {
+    const x = index * slot + (slot - barWidth) / 2;
+
+    const rect = createSvgElement("rect", {
+      x,
+      y: y(bar.value),
+      width: barWidth,
+      height: top + plotHeight - y(bar.value),
+      class: "chart-bar",
+    });
+    const title = createSvgElement("title");
+    title.textContent = bar.title;
+    rect.appendChild(title);
+    svg.appendChild(rect);
+
+    if (bar.label) {
+      const label = createSvgElement("text", {
+        x: index * slot + slot / 2,
+        y: height - 2,
+        class: "chart-label",
+        "text-anchor": "middle",
+      });
+      label.textContent = bar.label;
+      svg.appendChild(label);
+    }
+  });
+
+  if (options.line) {
+    svg.appendChild(
+      createSvgElement("polyline", {
+        points: options.line
+          .map((value, index) => `${index * slot + slot / 2},${y(value)}`)
+          .join(" "),
+        class: "chart-line",
+      }),
+    );
+  }
+
+  return svg;
+}
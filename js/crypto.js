@@ -0,0 +1,260 @@
+/**
+ * Journal Encryption
+ * Passphrase-based encryption at rest with Web Crypto: a key is derived from
+ * the passphrase with PBKDF2, and data is sealed with AES-GCM.
+ * The key only lives in memory while the journal is unlocked.
+ */
+
+// Marks an encrypted envelope in localStorage or in a backup file
+const ENCRYPTED_FORMAT = "rominoflection-encrypted";
+
+// OWASP's recommendation for PBKDF2-HMAC-SHA256
+const PBKDF2_ITERATIONS = 600000;
+
+// Iterations accepted when opening an envelope. Below the minimum the key is
+// too cheap to guess; far above ours, deriving it would hang the page.
+const MIN_PBKDF2_ITERATIONS = 100000;
+const MAX_PBKDF2_ITERATIONS = 2000000;
+
+// Key of the unlocked journal; salt is base64, as stored in envelopes
+const vault = {
+  key: null,
+  salt: null,
+};
+
+/**
+ * Whether this browser can encrypt (Web Crypto needs https or localhost)
+ * @returns {boolean}
+ */
+function isEncryptionSupported() {
+  return Boolean(window.crypto && window.crypto.subtle);
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Encoded bytes
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Check whether a parsed value is an encrypted envelope
+ * @param {*} value - Parsed JSON
+ * @returns {boolean}
+ */
+function isEncryptedEnvelope(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    value.format === ENCRYPTED_FORMAT
+  );
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - The user's passphrase
+ * @param {string} salt - Base64 salt
+ * @param {number} [iterations] - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"],
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: base64ToBytes(salt), iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+/**
+ * Encrypt text into an envelope
+ * Every envelope gets a fresh IV; the salt is stored so the passphrase
+ * alone can open it again
+ * @param {string} text - Plain text
+ * @param {CryptoKey} key - From deriveKey()
+ * @param {string} salt - Salt the key was derived with
+ * @returns {Promise<object>} { format, version, kdf, iv, data }
+ */
+async function encryptText(text, key, salt) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(text),
+  );
+
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: 1,
+    kdf: {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      iterations: PBKDF2_ITERATIONS,
+      salt,
+    },
+    iv: bytesToBase64(iv),
+    data: bytesToBase64(new Uint8Array(data)),
+  };
+}
+
+/**
+ * Decrypt an envelope
+ * @param {object} envelope - From encryptText()
+ * @param {CryptoKey} key - Key derived with the envelope's salt
+ * @returns {Promise<string>} Plain text
+ * @throws {Error} "Wrong passphrase" when the key doesn't fit
+ */
+async function decryptText(envelope, key) {
+  try {
+    const data = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToBytes(envelope.iv) },
+      key,
+      base64ToBytes(envelope.data),
+    );
+    return new TextDecoder().decode(data);
+  } catch (error) {
+    // AES-GCM can't tell a wrong key from tampered data
+    throw new Error("Wrong passphrase");
+  }
+}
+
+/**
+ * Whether an envelope's key settings are ones we can (and should) derive
+ * @param {object} kdf - Envelope kdf
+ * @returns {boolean}
+ */
+function isSupportedKdf(kdf) {
+  return (
+    kdf.name === "PBKDF2" &&
+    kdf.hash === "SHA-256" &&
+    typeof kdf.salt === "string" &&
+    Number.isInteger(kdf.iterations) &&
+    kdf.iterations >= MIN_PBKDF2_ITERATIONS &&
+    kdf.iterations <= MAX_PBKDF2_ITERATIONS
+  );
+}
+
+/**
+ * Decrypt an envelope with a passphrase
+ * Uses the unlocked key when the envelope was sealed with it
+ * @param {object} envelope - From encryptText()
+ * @param {string} [passphrase] - Needed unless the journal key fits
+ * @returns {Promise<object>} { text, key }
+ * @throws {Error} "Unsupported encryption settings" for an unknown kdf or
+ *   iterations out of range
+ */
+async function openEnvelope(envelope, passphrase) {
+  if (!isEncryptedEnvelope(envelope) || !envelope.kdf) {
+    throw new Error("Not an encrypted file");
+  }
+  if (!isSupportedKdf(envelope.kdf)) {
+    throw new Error("Unsupported encryption settings");
+  }
+
+  const key = isSealedWithVault(envelope)
+    ? vault.key
+    : await deriveKey(
+        passphrase || "",
+        envelope.kdf.salt,
+        envelope.kdf.iterations,
+      );
+
+  return { text: await decryptText(envelope, key), key };
+}
+
+/**
+ * Whether the unlocked journal key opens an envelope (same passphrase and salt)
+ * @param {object} envelope - From encryptText()
+ * @returns {boolean}
+ */
+function isSealedWithVault(envelope) {
+  return Boolean(vault.key && envelope.kdf && envelope.kdf.salt === vault.salt);
+}
+
+/**
+ * Unlock the journal: later saves are encrypted with the same key
+ * @param {object} envelope - Stored envelope
+ * @param {string} passphrase - The user's passphrase
+ * @returns {Promise<string>} Decrypted state JSON
+ */
+async function unlockVault(envelope, passphrase) {
+  const { text, key } = await openEnvelope(envelope, passphrase);
+
+  vault.key = key;
+  vault.salt = envelope.kdf.salt;
+  return text;
+}
+
+/**
+ * Derive the key for a new passphrase (and a new salt), without using it yet
+ * @param {string} passphrase - The user's passphrase
+ * @returns {Promise<object>} { key, salt } for installVault()
+ */
+async function createVaultKey(passphrase) {
+  const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+
+  return { key: await deriveKey(passphrase, salt), salt };
+}
+
+/**
+ * Start encrypting with a key from createVaultKey()
+ * @param {object} material - { key, salt }
+ */
+function installVault(material) {
+  vault.key = material.key;
+  vault.salt = material.salt;
+}
+
+/**
+ * The key in use, e.g. to finish saves queued before lockVault()
+ * @returns {object} { key, salt }, both null while locked
+ */
+function getVaultKey() {
+  return { key: vault.key, salt: vault.salt };
+}
+
+/**
+ * Forget the key
+ */
+function lockVault() {
+  vault.key = null;
+  vault.salt = null;
+}
+
+/**
+ * Encrypt text with the journal key
+ * @param {string} text - Plain text
+ * @param {object} [material] - { key, salt } to use instead, e.g. from
+ *   createVaultKey() before it is installed
+ * @returns {Promise<object>} Envelope
+ */
+function encryptWithVault(text, material = vault) {
+  if (!material.key) {
+    return Promise.reject(new Error("The journal is locked"));
+  }
+  return encryptText(text, material.key, material.salt);
+}
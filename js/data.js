@@ -1,69 +1,337 @@
+// Deep prompts invite long reflection, light ones are quick daily check-ins
+const QUESTION_CATEGORIES = {
+  deep: "Deep",
+  light: "Light check-in",
+};
+
+// How the daily question is chosen, by category
+const ROTATION_MODES = {
+  all: "All questions",
+  deep: "Deep questions only",
+  light: "Light check-ins only",
+  alternate: "Alternate deep and light",
+  "weekday-light": "Light on weekdays, deep on weekends",
+};
+
 const Questions = [
   {
     id: 1,
     text: "What assumption about yourself are you ready to question?",
+    category: "deep",
+    tags: ["identity", "beliefs"],
   },
   {
     id: 2,
     text: "What would you do if you knew no one would judge you?",
+    category: "deep",
+    tags: ["courage", "freedom"],
   },
   {
     id: 3,
     text: "What are you avoiding by staying busy?",
+    category: "deep",
+    tags: ["avoidance", "time"],
   },
   {
     id: 4,
     text: "When did you last change your mind about something important?",
+    category: "deep",
+    tags: ["growth", "beliefs"],
   },
   {
     id: 5,
     text: "What would your younger self not recognize about who you are now?",
+    category: "deep",
+    tags: ["identity", "growth"],
   },
   {
     id: 6,
     text: "What truth are you dancing around instead of facing directly?",
+    category: "deep",
+    tags: ["truth", "avoidance"],
   },
   {
     id: 7,
     text: "If your life were a book, what chapter are you avoiding writing?",
+    category: "deep",
+    tags: ["avoidance", "life-story"],
   },
   {
     id: 8,
     text: "What permission are you waiting for that you could give yourself?",
+    category: "deep",
+    tags: ["permission", "courage"],
   },
   {
     id: 9,
     text: "What would you do differently if you loved yourself unconditionally?",
+    category: "deep",
+    tags: ["self-compassion"],
   },
   {
     id: 10,
     text: "What are you pretending not to know?",
+    category: "deep",
+    tags: ["truth"],
   },
   {
     id: 11,
     text: "What was the best part of your day?",
+    category: "light",
+    tags: ["gratitude"],
   },
   {
     id: 12,
     text: "What made you smile today?",
+    category: "light",
+    tags: ["joy"],
   },
   {
     id: 13,
     text: "What made you feel accomplished today?",
+    category: "light",
+    tags: ["achievement"],
   },
 ];
 
+// Custom question ids start here so they never collide with built-in ones
+const FIRST_CUSTOM_QUESTION_ID = 1000;
+
+// User-defined questions and retired question ids.
+// Loaded from state with applyQuestionBank(), merged with the built-in list.
+let customQuestions = [];
+let retiredQuestionIds = [];
+
+function applyQuestionBank(questionBank) {
+  customQuestions = questionBank ? questionBank.custom : [];
+  retiredQuestionIds = questionBank ? questionBank.retired : [];
+}
+
+// Built-in and custom questions, including retired ones
+function getAllQuestions() {
+  return [...Questions, ...customQuestions];
+}
+
+// Questions that can still be asked, in rotation order
+function getActiveQuestions() {
+  return getAllQuestions()
+    .filter((q) => !isQuestionRetired(q.id))
+    .sort((a, b) => a.id - b.id);
+}
+
+function isQuestionRetired(id) {
+  return retiredQuestionIds.includes(id);
+}
+
+function isCustomQuestion(id) {
+  return id >= FIRST_CUSTOM_QUESTION_ID;
+}
+
+// Retired questions are still found, so old reflections keep their question
 function getQuestionById(id) {
-  return Questions.find((q) => q.id === id) || null;
+  return getAllQuestions().find((q) => q.id === id) || null;
+}
+
+// Shown for entries without a question (imported "free write" entries,
+// questionId null) that don't carry their own prompt
+const FREE_WRITE_LABEL = "Free write";
+
+function getQuestionCategory(question) {
+  return question && QUESTION_CATEGORIES[question.category]
+    ? question.category
+    : "deep";
+}
+
+// Category the rotation mode asks for on a date, or null for any
+function getRotationCategory(mode, date, currentId) {
+  switch (mode) {
+    case "deep":
+    case "light":
+      return mode;
+    case "alternate":
+      return getQuestionCategory(getQuestionById(currentId)) === "deep"
+        ? "light"
+        : "deep";
+    case "weekday-light": {
+      const weekday = getWeekdayOfDate(date);
+      return weekday === 0 || weekday === 6 ? "deep" : "light";
+    }
+    default:
+      return null;
+  }
+}
+
+// Question selection strategies. Each one picks the next question from the
+// candidates the rotation mode allows:
+//   select(candidates, context) -> { id, memory }
+// candidates: active questions, sorted so the sequential "next" comes first
+// context: {
+//   currentId, date,
+//   pool,     // "deep", "light" or "all" - which candidates these are
+//   history,  // { [questionId]: { count, lastDate } } from past reflections
+//   memory,   // whatever this strategy returned last time (persisted in state)
+// }
+const QUESTION_STRATEGIES = {
+  sequential: {
+    label: "In order",
+    select(candidates, context) {
+      return { id: candidates[0].id, memory: context.memory };
+    },
+  },
+
+  shuffle: {
+    label: "Shuffled, no repeats until all are asked",
+    select(candidates, context) {
+      const ids = candidates.map((q) => q.id);
+      const queues = { ...(context.memory && context.memory.queues) };
+
+      // Drop questions that were retired or left the pool since the shuffle
+      let queue = (queues[context.pool] || []).filter((id) => ids.includes(id));
+
+      if (queue.length === 0) {
+        queue = shuffleArray(ids);
+
+        // Don't start a new round with the question that ended the last one
+        if (queue.length > 1 && queue[0] === context.currentId) {
+          queue.push(queue.shift());
+        }
+      }
+
+      queues[context.pool] = queue.slice(1);
+      return { id: queue[0], memory: { queues } };
+    },
+  },
+
+  seeded: {
+    label: "Random, same question for the same date",
+    select(candidates, context) {
+      const sorted = candidates.slice().sort((a, b) => a.id - b.id);
+      const index =
+        hashString(`${context.date}:${context.pool}`) % sorted.length;
+      return { id: sorted[index].id, memory: context.memory };
+    },
+  },
+
+  spaced: {
+    label: "Spaced repetition (resurface old answers)",
+    select(candidates, context) {
+      // Each answer doubles the wait before a question is due again:
+      // 7 days after the first answer, 14 after the second, ...
+      const overdue = (question) => {
+        const past = context.history[question.id];
+        if (!past || !past.lastDate) return Infinity;
+
+        const interval = 7 * Math.pow(2, past.count - 1);
+        return daysBetweenDates(past.lastDate, context.date) / interval;
+      };
+
+      // Highest overdue ratio wins, ties go to the sequential order
+      const best = candidates.reduce((winner, question) =>
+        overdue(question) > overdue(winner) ? question : winner,
+      );
+      return { id: best.id, memory: context.memory };
+    },
+  },
+
+  "least-answered": {
+    label: "Least answered first",
+    select(candidates, context) {
+      const count = (question) =>
+        context.history[question.id] ? context.history[question.id].count : 0;
+
+      const best = candidates.reduce((winner, question) =>
+        count(question) < count(winner) ? question : winner,
+      );
+      return { id: best.id, memory: context.memory };
+    },
+  },
+};
+
+// Pick the next question. options: {
+//   mode, strategy,  // from settings
+//   date,            // the day being picked for
+//   lastAsked,       // last question asked in each category
+//   history,         // see QUESTION_STRATEGIES
+//   memory,          // per-strategy memory from state
+//   exclude,         // question ids that must not be picked
+//   category,        // force a category instead of asking the mode (null = any)
+// }
+// Returns { id, memory } - memory is the strategy's updated memory.
+// If nothing can be picked, id is currentId.
+function selectNextQuestion(currentId, options = {}) {
+  const exclude = options.exclude || [];
+  const active = getActiveQuestions().filter((q) => !exclude.includes(q.id));
+  const memory = options.memory || {};
+  const strategyName = QUESTION_STRATEGIES[options.strategy]
+    ? options.strategy
+    : "sequential";
+
+  // Everything retired (or excluded): keep asking the current question
+  if (active.length === 0) {
+    return { id: currentId, memory };
+  }
+
+  // Narrow to the category the mode asks for (if any question has it)
+  const category =
+    options.category !== undefined
+      ? options.category
+      : getRotationCategory(options.mode, options.date, currentId);
+  const inCategory = active.filter(
+    (q) => !category || getQuestionCategory(q) === category,
+  );
+  const pool = inCategory.length > 0 ? inCategory : active;
+
+  // Within a category, continue from where that category left off
+  const lastAsked = options.lastAsked || {};
+  const afterId =
+    category && lastAsked[category] !== undefined
+      ? lastAsked[category]
+      : currentId;
+
+  // Sequential order: the next id after that one first, wrapping around.
+  // Works with any ids, not just 1..n.
+  const splitAt = pool.findIndex((q) => q.id > afterId);
+  const candidates =
+    splitAt > 0 ? [...pool.slice(splitAt), ...pool.slice(0, splitAt)] : pool;
+
+  const result = QUESTION_STRATEGIES[strategyName].select(candidates, {
+    currentId,
+    date: options.date,
+    pool: category || "all",
+    history: options.history || {},
+    memory: memory[strategyName],
+  });
+
+  return {
+    id: result.id,
+    memory: { ...memory, [strategyName]: result.memory },
+  };
 }
 
-function getNextQuestionId(currentId) {
-  // If current is the last question, wrap to 1
-  if (currentId >= Questions.length) {
-    return 1;
+function getNextQuestionId(currentId, options = {}) {
+  return selectNextQuestion(currentId, options).id;
+}
+
+// Fisher-Yates shuffle (returns a new array)
+function shuffleArray(items) {
+  const shuffled = items.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// FNV-1a string hash (unsigned 32-bit), stable across sessions and browsers
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
   }
-  return currentId + 1;
+  return hash >>> 0;
 }
+
 function getTotalQuestions() {
-  return Questions.length;
+  return getActiveQuestions().length;
 }
@@ -0,0 +1,205 @@
+/**
+ * Date Engine
+ * Single source of truth for "which day is it" (streaks, rotation, display)
+ * Days are "YYYY-MM-DD" keys. Arithmetic on keys is done in UTC, so DST
+ * changes and the device timezone can never shift a day.
+ */
+
+// Set from state.settings with configureDates()
+const dateConfig = {
+  dayStartHour: 0, // 0-23, e.g. 4 = writing at 1am still counts as "yesterday"
+  timeZone: "", // IANA name (e.g. "Europe/Berlin"), "" = device timezone
+};
+
+// Intl formatters are expensive to create, so keep one per timezone
+const zonedFormatters = {};
+
+/**
+ * Apply the user's day settings
+ * Invalid values fall back to the defaults (midnight, device timezone)
+ * @param {object} options - { dayStartHour, timeZone }
+ */
+function configureDates(options) {
+  const hour = Number(options.dayStartHour);
+  dateConfig.dayStartHour =
+    Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 0;
+  dateConfig.timeZone = isValidTimeZone(options.timeZone)
+    ? options.timeZone
+    : "";
+}
+
+/**
+ * Check whether the browser knows an IANA timezone name
+ * @param {string} timeZone - e.g. "America/New_York"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @param {Date} instant - Moment in time
+ * @param {string} [timeZone] - IANA name (defaults to the configured one)
+ * @returns {object} { year, month (1-12), day, hour (0-23), minute }
+ */
+function getZonedParts(instant, timeZone = dateConfig.timeZone) {
+  if (!timeZone) {
+    return {
+      year: instant.getFullYear(),
+      month: instant.getMonth() + 1,
+      day: instant.getDate(),
+      hour: instant.getHours(),
+      minute: instant.getMinutes(),
+    };
+  }
+
+  if (!zonedFormatters[timeZone]) {
+    zonedFormatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      hourCycle: "h23",
+    });
+  }
+
+  const parts = {};
+  zonedFormatters[timeZone].formatToParts(instant).forEach((part) => {
+    parts[part.type] = Number(part.value);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24, // Some engines report midnight as 24
+    minute: parts.minute,
+  };
+}
+
+/**
+ * Get the journal day an instant belongs to
+ * Before the "day starts at" hour, it still counts as the previous day
+ * @param {Date} [instant] - Moment in time (defaults to now)
+ * @param {string} [timeZone] - Where it was written (defaults to the
+ *   configured timezone); imports pass the entry's own timezone
+ * @returns {string} YYYY-MM-DD
+ */
+function getDateKey(instant = new Date(), timeZone = dateConfig.timeZone) {
+  const parts = getZonedParts(instant, timeZone);
+  const year = String(parts.year).padStart(4, "0");
+  const month = String(parts.month).padStart(2, "0");
+  const day = String(parts.day).padStart(2, "0");
+  const calendarDate = `${year}-${month}-${day}`;
+
+  return parts.hour < dateConfig.dayStartHour
+    ? addDaysToDate(calendarDate, -1)
+    : calendarDate;
+}
+
+/**
+ * Get today's journal day
+ * @returns {string} YYYY-MM-DD
+ */
+function getTodayDate() {
+  return getDateKey(new Date());
+}
+
+/**
+ * Check that a string is a real YYYY-MM-DD date
+ * @param {string} dateKey - Candidate date
+ * @returns {boolean}
+ */
+function isValidDateKey(dateKey) {
+  if (typeof dateKey !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) {
+    return false;
+  }
+
+  // Rejects impossible parts like month 13
+  if (Number.isNaN(Date.parse(`${dateKey}T00:00:00Z`))) {
+    return false;
+  }
+
+  // Rejects overflow like 2026-02-30
+  return addDaysToDate(dateKey, 0) === dateKey;
+}
+
+/**
+ * Shift a date by a number of days
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days - May be negative
+ * @returns {string} YYYY-MM-DD
+ */
+function addDaysToDate(dateKey, days) {
+  const shifted = new Date(`${dateKey}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split("T")[0];
+}
+
+/**
+ * Whole days from one date to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number} Negative if `to` is before `from`
+ */
+function daysBetweenDates(from, to) {
+  return Math.round(
+    (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) /
+      (1000 * 60 * 60 * 24),
+  );
+}
+
+/**
+ * Day of the week of a date
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+function getWeekdayOfDate(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Hour of the day an instant falls on, in the configured timezone
+ * @param {string|Date} instant - ISO timestamp or Date
+ * @returns {number} 0-23
+ */
+function getHourOfDay(instant) {
+  return getZonedParts(new Date(instant)).hour;
+}
+
+/**
+ * Format a date key for display
+ * Formatted at noon UTC so no timezone can move it to a neighbouring day
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {object} options - Intl.DateTimeFormat options
+ * @returns {string} e.g. "January 10, 2026"
+ */
+function formatDateKey(dateKey, options) {
+  return new Date(`${dateKey}T12:00:00Z`).toLocaleDateString("en-US", {
+    ...options,
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Format the time of day of an instant, in the configured timezone
+ * @param {string|Date} instant - ISO timestamp or Date
+ * @returns {string} e.g. "9:14 AM"
+ */
+function formatTimeOfDay(instant) {
+  return new Date(instant).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: dateConfig.timeZone || undefined,
+  });
+}
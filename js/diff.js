@@ -0,0 +1,130 @@
+/**
+ * Word Diff
+ * Compares two texts word by word (longest common subsequence)
+ */
+
+/**
+ * Split text into words, keeping the whitespace after each one
+ * so joining the pieces gives back the original text
+ * @param {string} text - Text to split
+ * @returns {string[]} e.g. ["Hello ", "world"]
+ */
+function tokenizeWords(text) {
+  return (text || "").match(/\S+\s*|\s+/g) || [];
+}
+
+// Largest comparison table built (cells, 4 bytes each). Long texts that
+// differ throughout are compared line by line instead, and if that is still
+// too big, as a whole.
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+/**
+ * Split text into lines, keeping each line break
+ * @param {string} text - Text to split
+ * @returns {string[]} e.g. ["First line\n", "second"]
+ */
+function tokenizeLines(text) {
+  return (text || "").match(/[^\n]*\n|[^\n]+/g) || [];
+}
+
+/**
+ * Diff two texts by word
+ * Falls back to lines, then to the whole text, when the texts are too long
+ * and too different to compare word by word
+ * @param {string} oldText - Earlier text
+ * @param {string} newText - Later text
+ * @returns {Array} { type: "same" | "removed" | "added", text } in reading
+ *   order; adjacent pieces of the same type are merged
+ */
+function diffWords(oldText, newText) {
+  return (
+    diffTokens(tokenizeWords(oldText), tokenizeWords(newText)) ||
+    diffTokens(tokenizeLines(oldText), tokenizeLines(newText)) ||
+    [
+      { type: "removed", text: oldText || "" },
+      { type: "added", text: newText || "" },
+    ].filter((part) => part.text.length > 0)
+  );
+}
+
+/**
+ * Diff two token lists (longest common subsequence)
+ * @param {string[]} oldWords - Tokens of the earlier text
+ * @param {string[]} newWords - Tokens of the later text
+ * @returns {Array|null} Parts as for diffWords(), or null when the
+ *   comparison table would exceed MAX_DIFF_CELLS
+ */
+function diffTokens(oldWords, newWords) {
+  const same = (a, b) => a.trim() === b.trim();
+
+  // Shared start and end don't need the LCS table
+  let start = 0;
+  while (
+    start < oldWords.length &&
+    start < newWords.length &&
+    same(oldWords[start], newWords[start])
+  ) {
+    start++;
+  }
+
+  let oldEnd = oldWords.length;
+  let newEnd = newWords.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    same(oldWords[oldEnd - 1], newWords[newEnd - 1])
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldWords.slice(start, oldEnd);
+  const b = newWords.slice(start, newEnd);
+
+  // lengths[i * width + j]: LCS length of a[i..] and b[j..]
+  const width = b.length + 1;
+  if ((a.length + 1) * width > MAX_DIFF_CELLS) {
+    return null;
+  }
+
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = same(a[i], b[j])
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  oldWords.slice(0, start).forEach((word) => push("same", word));
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (same(a[i], b[j])) {
+      push("same", b[j]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  a.slice(i).forEach((word) => push("removed", word));
+  b.slice(j).forEach((word) => push("added", word));
+
+  newWords.slice(newEnd).forEach((word) => push("same", word));
+
+  return parts;
+}
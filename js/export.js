@@ -0,0 +1,381 @@
+/**
+ * Journal Export
+ * Readable exports built from reflection objects (see getAllReflections)
+ */
+
+/**
+ * Build a YAML front-matter block
+ * Values are written as JSON, which YAML reads as-is
+ * @param {object} fields - Name/value pairs; null and undefined are left out
+ * @returns {string} "---\n...\n---\n"
+ */
+function buildFrontMatter(fields) {
+  const lines = Object.keys(fields)
+    .filter((name) => fields[name] !== null && fields[name] !== undefined)
+    .map((name) => `${name}: ${JSON.stringify(fields[name])}`);
+
+  return `---\n${lines.join("\n")}\n---\n`;
+}
+
+/**
+ * Metadata of one reflection, for front matter
+ * @param {object} reflection - Reflection object
+ * @returns {object}
+ */
+function getReflectionMetadata(reflection) {
+  return {
+    date: reflection.date,
+    question: reflection.questionText,
+    questionId: reflection.questionId,
+    mood: reflection.mood ? MOOD_LEVELS[reflection.mood] : null,
+    energy: reflection.energy ? ENERGY_LEVELS[reflection.energy] : null,
+    tags: reflection.tags.length > 0 ? reflection.tags : null,
+    backfilled: reflection.backfilled || null,
+    created: reflection.createdAt,
+    edited: reflection.lastEdited,
+  };
+}
+
+/**
+ * Render one reflection as a standalone Markdown file
+ * @param {object} reflection - Reflection object
+ * @returns {string}
+ */
+function buildMarkdownEntry(reflection) {
+  return [
+    buildFrontMatter(getReflectionMetadata(reflection)),
+    `# ${formatDateKey(reflection.date, { dateStyle: "full" })}\n`,
+    `## ${reflection.questionText}\n`,
+    `${reflection.reflectionText.trim()}\n`,
+  ].join("\n");
+}
+
+/**
+ * Render reflections as one Markdown document
+ * Entries of the same day share a date heading
+ * @param {Array} reflections - Reflection objects, in the order to write them
+ * @param {object} info - { from, to } range covered ("" = open ended)
+ * @returns {string}
+ */
+function buildMarkdownJournal(reflections, info) {
+  const parts = [
+    buildFrontMatter({
+      title: "Rominoflection journal",
+      exported: new Date().toISOString(),
+      from: info.from || null,
+      to: info.to || null,
+      entries: reflections.length,
+    }),
+    "# Rominoflection journal\n",
+  ];
+
+  let lastDate = null;
+
+  reflections.forEach((reflection) => {
+    if (reflection.date !== lastDate) {
+      parts.push(
+        `## ${formatDateKey(reflection.date, { dateStyle: "full" })}\n`,
+      );
+      lastDate = reflection.date;
+    }
+
+    parts.push(`### ${reflection.questionText}\n`);
+
+    // Front matter only belongs at the top, so entries get a metadata line
+    const details = [];
+    if (reflection.mood) details.push(`Mood: ${MOOD_LEVELS[reflection.mood]}`);
+    if (reflection.energy) {
+      details.push(`Energy: ${ENERGY_LEVELS[reflection.energy]}`);
+    }
+    if (reflection.tags.length > 0) {
+      details.push(reflection.tags.map((tag) => `#${tag}`).join(" "));
+    }
+    if (reflection.backfilled) details.push("Backfilled");
+    if (details.length > 0) {
+      parts.push(`_${details.join(" · ")}_\n`);
+    }
+
+    parts.push(`${reflection.reflectionText.trim()}\n`);
+  });
+
+  return parts.join("\n");
+}
+
+/**
+ * File names for one-file-per-entry exports
+ * Later entries of the same day get a number: 2026-01-10.md, 2026-01-10-2.md
+ * @param {Array} reflections - Reflection objects
+ * @returns {Array} { name, content } in the same order
+ */
+function buildMarkdownFiles(reflections) {
+  const perDay = {};
+
+  // Number entries of a day oldest first, whatever the export order
+  const oldestFirst = reflections
+    .slice()
+    .sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        (a.createdAt || "").localeCompare(b.createdAt || ""),
+    );
+  const names = new Map();
+  oldestFirst.forEach((reflection) => {
+    perDay[reflection.date] = (perDay[reflection.date] || 0) + 1;
+    const suffix =
+      perDay[reflection.date] > 1 ? `-${perDay[reflection.date]}` : "";
+    names.set(reflection, `${reflection.date}${suffix}.md`);
+  });
+
+  return reflections.map((reflection) => ({
+    name: names.get(reflection),
+    content: buildMarkdownEntry(reflection),
+  }));
+}
+
+// CRC-32 lookup table (IEEE polynomial), built on first use
+let crcTable = null;
+
+/**
+ * CRC-32 checksum, as zip files expect
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build an uncompressed (STORE) zip archive
+ * Text is small, so compression isn't worth a dependency
+ * @param {Array} files - { name, content } with string content
+ * @returns {Blob} application/zip
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+
+  // MS-DOS time and date, local time, 2-second resolution
+  const dosTime =
+    (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate =
+    ((now.getFullYear() - 1980) << 9) |
+    ((now.getMonth() + 1) << 5) |
+    now.getDate();
+
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    // Local file header
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // STORE
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    // Central directory entry
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true); // version made by
+    entry.setUint16(6, 20, true); // version needed
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+
+    chunks.push(local, name, data);
+    central.push(entry, name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...chunks, ...central, end], { type: "application/zip" });
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Styles of the printable book. Screen shows paper-like pages; print gives
+// one entry per page with the browser's "Save as PDF".
+const BOOK_STYLES = `
+  @page { size: A5; margin: 18mm 16mm; }
+  body { margin: 0; background: #e8e6e1; color: #222;
+    font: 11pt/1.6 Georgia, "Times New Roman", serif; }
+  .page { max-width: 148mm; min-height: 190mm; margin: 12mm auto; padding: 18mm 16mm;
+    background: #fff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.15); box-sizing: border-box; }
+  .title-page { display: flex; flex-direction: column; justify-content: center; text-align: center; }
+  .title-page h1 { font-size: 26pt; font-weight: normal; margin: 0 0 6mm; }
+  .title-page p { color: #666; margin: 0; }
+  h2 { font-size: 15pt; font-weight: normal; margin: 0 0 6mm; }
+  .contents h3 { font-size: 11pt; margin: 6mm 0 2mm; text-transform: uppercase; letter-spacing: 0.05em; color: #666; }
+  .contents ol { list-style: none; padding: 0; margin: 0; }
+  .contents li { display: flex; gap: 3mm; font-size: 10pt; }
+  .contents a { color: inherit; text-decoration: none; }
+  .contents time { flex: none; width: 18mm; color: #666; }
+  .entry time { display: block; color: #666; font-size: 10pt; margin-bottom: 2mm; }
+  .entry h2 { font-style: italic; }
+  .entry .details { color: #666; font-size: 9pt; margin: -3mm 0 5mm; }
+  .entry p { margin: 0 0 3mm; text-align: justify; }
+  .stats dl { display: grid; grid-template-columns: 1fr auto; gap: 2mm 6mm; }
+  .stats dd { margin: 0; text-align: right; }
+  .print-button { position: fixed; top: 4mm; right: 4mm; padding: 2mm 4mm; font: inherit; cursor: pointer; }
+  @media print {
+    body { background: none; }
+    .page { margin: 0; padding: 0; max-width: none; min-height: 0; box-shadow: none;
+      break-after: page; page-break-after: always; }
+    .page:last-child { break-after: auto; page-break-after: auto; }
+    .title-page { min-height: 170mm; }
+    .entry p { orphans: 3; widows: 3; }
+    .print-button { display: none; }
+  }
+`;
+
+/**
+ * Build a printable journal book as a standalone HTML document
+ * Title page, contents by month, one entry per page and a closing summary
+ * @param {Array} reflections - Reflection objects, oldest first
+ * @param {object} book - { title, subtitle, summary } where summary is a
+ *   list of [label, value] rows for the closing page
+ * @returns {string} HTML document
+ */
+function buildJournalBook(reflections, book) {
+  const pages = [];
+
+  pages.push(`
+    <section class="page title-page">
+      <h1>${escapeHtml(book.title)}</h1>
+      <p>${escapeHtml(book.subtitle)}</p>
+    </section>`);
+
+  // Contents, grouped by month
+  const months = [];
+  reflections.forEach((reflection, index) => {
+    const month = reflection.date.slice(0, 7);
+    if (months.length === 0 || months[months.length - 1].month !== month) {
+      months.push({ month, items: [] });
+    }
+    months[months.length - 1].items.push(`
+        <li>
+          <time datetime="${reflection.date}">${escapeHtml(formatDateKey(reflection.date, { month: "short", day: "numeric" }))}</time>
+          <a href="#entry-${index + 1}">${escapeHtml(reflection.questionText)}</a>
+        </li>`);
+  });
+
+  pages.push(`
+    <section class="page contents">
+      <h2>Contents</h2>
+      ${months
+        .map(
+          ({ month, items }) => `
+      <h3>${escapeHtml(formatDateKey(`${month}-01`, { month: "long", year: "numeric" }))}</h3>
+      <ol>${items.join("")}
+      </ol>`,
+        )
+        .join("")}
+    </section>`);
+
+  reflections.forEach((reflection, index) => {
+    const details = [];
+    if (reflection.mood) details.push(MOOD_LEVELS[reflection.mood]);
+    if (reflection.energy) {
+      details.push(`Energy: ${ENERGY_LEVELS[reflection.energy]}`);
+    }
+    if (reflection.tags.length > 0) {
+      details.push(reflection.tags.map((tag) => `#${tag}`).join(" "));
+    }
+
+    const paragraphs = reflection.reflectionText
+      .trim()
+      .split(/\n\s*\n/)
+      .map(
+        (paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`,
+      )
+      .join("\n      ");
+
+    pages.push(`
+    <section class="page entry" id="entry-${index + 1}">
+      <time datetime="${reflection.date}">${escapeHtml(formatDateKey(reflection.date, { dateStyle: "full" }))}</time>
+      <h2>${escapeHtml(reflection.questionText)}</h2>
+      ${details.length > 0 ? `<p class="details">${escapeHtml(details.join(" · "))}</p>` : ""}
+      ${paragraphs}
+    </section>`);
+  });
+
+  pages.push(`
+    <section class="page stats">
+      <h2>By the numbers</h2>
+      <dl>${book.summary
+        .map(
+          ([label, value]) => `
+        <dt>${escapeHtml(label)}</dt>
+        <dd>${escapeHtml(value)}</dd>`,
+        )
+        .join("")}
+      </dl>
+    </section>`);
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(book.title)}</title>
+    <style>${BOOK_STYLES}</style>
+  </head>
+  <body>
+    <button class="print-button" type="button" onclick="window.print()">Print / Save as PDF</button>
+${pages.join("\n")}
+  </body>
+</html>
+`;
+}
@@ -0,0 +1,495 @@
+/**
+ * Journal Import
+ * Parsers that turn other formats into entries for importReflections()
+ */
+
+// Columns of CSV exports, in order. Imports match headers by name,
+// so spreadsheets may reorder or drop the optional ones.
+const CSV_COLUMNS = [
+  "date",
+  "questionId",
+  "question",
+  "reflection",
+  "words",
+  "lastEdited",
+];
+
+// Month names of the long dates in Markdown exports
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+/**
+ * Quote a CSV field when it needs it (comma, quote or line break)
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV file of reflections
+ * @param {Array} reflections - Reflection objects (see getAllReflections)
+ * @returns {string} CSV with a header row, CRLF line endings
+ */
+function buildCsv(reflections) {
+  const rows = reflections.map((reflection) =>
+    [
+      reflection.date,
+      reflection.questionId,
+      reflection.questionText,
+      reflection.reflectionText,
+      countWords(reflection.reflectionText),
+      reflection.lastEdited,
+    ]
+      .map(toCsvField)
+      .join(","),
+  );
+
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and
+ * line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array} Rows, each an array of field strings; blank lines skipped
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  // Spreadsheet apps often start UTF-8 files with a byte order mark
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Unclosed quote in CSV");
+  }
+
+  // Last line without a trailing line break
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+/**
+ * Find the question an imported row belongs to
+ * Question text wins over the id, since custom question ids differ
+ * between installs
+ * @param {string} questionText - Question text from the file
+ * @param {string} [questionId] - Question id from the file
+ * @returns {number|null} Question id, or null if neither matches
+ */
+function resolveImportedQuestion(questionText, questionId) {
+  const key = normalizePrompt(questionText);
+  const byText = key
+    ? getAllQuestions().find((q) => normalizePrompt(q.text) === key)
+    : null;
+  if (byText) return byText.id;
+
+  const id = Number(questionId);
+  return questionId && getQuestionById(id) ? id : null;
+}
+
+/**
+ * Reduce a prompt to what matters for matching
+ * Ignores case, Markdown emphasis and surrounding whitespace
+ * @param {string} text - Prompt text
+ * @returns {string}
+ */
+function normalizePrompt(text) {
+  return (text || "").replace(/[*_]/g, "").trim().toLowerCase();
+}
+
+/**
+ * Parse a timestamp from an import
+ * @param {string} value - Any date string Date.parse understands
+ * @returns {string|null} ISO timestamp
+ */
+function toIsoTimestamp(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Clean up imported tags the way the tag fields do (see parseTags)
+ * @param {Array} tags - Raw tags
+ * @returns {Array} Unique lower-case tags without leading '#'
+ */
+function normalizeImportTags(tags) {
+  if (!Array.isArray(tags)) return [];
+
+  const cleaned = tags
+    .map((tag) => String(tag).trim().replace(/^#+/, "").toLowerCase())
+    .filter(Boolean);
+  return [...new Set(cleaned)];
+}
+
+/**
+ * Read a mood or energy rating given as a number or as its label
+ * @param {object} levels - MOOD_LEVELS or ENERGY_LEVELS
+ * @param {*} value - e.g. 4, "4" or "🙂 Good"
+ * @returns {number|null}
+ */
+function parseImportedLevel(levels, value) {
+  if (levels[value]) return Number(value);
+
+  const match = Object.keys(levels).find((level) => levels[level] === value);
+  return match ? Number(match) : null;
+}
+
+/**
+ * Split a leading prompt line off imported text, if it is one of our
+ * questions ("# What made you smile today?" or the bare question)
+ * @param {string} text - Entry text
+ * @returns {object} { questionId, text } with the prompt line removed
+ *   when it matched
+ */
+function splitLeadingPrompt(text) {
+  const match = text.match(/^\s*(?:#+\s*)?([^\n]+)\n?/);
+  const questionId = match ? resolveImportedQuestion(match[1]) : null;
+
+  return questionId
+    ? { questionId, text: text.slice(match[0].length).trim() }
+    : { questionId: null, text: text.trim() };
+}
+
+/**
+ * Build an import row
+ * Rows from every importer share this shape, so they share the preview
+ * and importReflections()
+ * @param {object} fields - { source, date, questionId, prompt, text,
+ *   lastEdited, tags, mood, energy }; prompt is kept only for free writes
+ * @returns {object}
+ */
+function createImportRow(fields) {
+  return {
+    source: "",
+    date: "",
+    questionId: null,
+    prompt: null,
+    text: "",
+    lastEdited: null,
+    tags: [],
+    mood: null,
+    energy: null,
+    ...fields,
+    status: "new",
+    error: null,
+  };
+}
+
+/**
+ * Mark each row as new, duplicate or invalid
+ * Rows repeated within the file count as duplicates too
+ * @param {object} state - Application state
+ * @param {Array} rows - From createImportRow
+ * @returns {Array} The rows with status and error set
+ */
+function checkImportRows(state, rows) {
+  const seen = new Set();
+
+  return rows.map((row) => {
+    if (!isValidDateKey(row.date)) {
+      return { ...row, status: "invalid", error: "No valid date found" };
+    }
+    if (!hasReflectionText(row)) {
+      return { ...row, status: "invalid", error: "No reflection text" };
+    }
+
+    const key = `${row.date}\n${row.text.trim()}`;
+    if (seen.has(key) || isDuplicateReflection(state, row.date, row.text)) {
+      return { ...row, status: "duplicate" };
+    }
+    seen.add(key);
+
+    return row;
+  });
+}
+
+/**
+ * Read a CSV file into import rows, checked against the current state
+ * Nothing is written: the result feeds the preview and importReflections()
+ * @param {object} state - Application state
+ * @param {string} text - CSV text
+ * @returns {Array} Import rows (see createImportRow) with a status
+ */
+function previewCsvImport(state, text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new Error("The file is empty");
+  }
+
+  const columns = {};
+  header.forEach((name, index) => {
+    columns[name.trim().toLowerCase()] = index;
+  });
+  if (columns.date === undefined || columns.reflection === undefined) {
+    throw new Error('CSV needs at least "date" and "reflection" columns');
+  }
+
+  const get = (fields, name) =>
+    columns[name.toLowerCase()] === undefined
+      ? ""
+      : fields[columns[name.toLowerCase()]] || "";
+
+  return checkImportRows(
+    state,
+    rows.map((fields, index) => {
+      const questionText = get(fields, "question").trim();
+      const questionId = resolveImportedQuestion(
+        questionText,
+        get(fields, "questionId").trim(),
+      );
+
+      return createImportRow({
+        source: `Row ${index + 1}`,
+        date: get(fields, "date").trim(),
+        questionId,
+        prompt: questionId === null ? questionText || null : null,
+        text: get(fields, "reflection"),
+        lastEdited: toIsoTimestamp(get(fields, "lastEdited").trim()),
+      });
+    }),
+  );
+}
+
+/**
+ * Read a Day One JSON export (Journal.json from the export zip)
+ * Dates use each entry's own timezone, so a trip abroad keeps its days
+ * @param {object} state - Application state
+ * @param {string} jsonString - File contents
+ * @returns {Array} Import rows with a status
+ */
+function previewDayOneImport(state, jsonString) {
+  const data = JSON.parse(jsonString);
+  if (!data || !Array.isArray(data.entries)) {
+    throw new Error("Not a Day One export (no entries list)");
+  }
+
+  return checkImportRows(
+    state,
+    data.entries.map((entry, index) => {
+      const created = new Date(entry.creationDate);
+      const timeZone = isValidTimeZone(entry.timeZone)
+        ? entry.timeZone
+        : undefined;
+
+      // Day One escapes Markdown characters and links photos inline
+      const text = String(entry.text || "")
+        .replace(/!\[[^\]]*\]\(dayone-moment:[^)]*\)\n?/g, "")
+        .replace(/\\([\\`*_{}\[\]()#+\-.!])/g, "$1");
+      const { questionId, text: body } = splitLeadingPrompt(text);
+
+      return createImportRow({
+        source: `Entry ${index + 1}`,
+        date: Number.isNaN(created.getTime())
+          ? ""
+          : getDateKey(created, timeZone),
+        questionId,
+        text: body,
+        lastEdited: toIsoTimestamp(entry.modifiedDate || entry.creationDate),
+        tags: normalizeImportTags(entry.tags),
+      });
+    }),
+  );
+}
+
+/**
+ * Split simple YAML front matter ("key: value" lines) off a text file
+ * Values may be JSON (as our Markdown export writes them), quoted or bare;
+ * [a, b] lists become arrays
+ * @param {string} content - File contents
+ * @returns {object} { fields (keys lower-cased), body }
+ */
+function parseFrontMatter(content) {
+  const match = content.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { fields: {}, body: content.replace(/^\uFEFF/, "") };
+  }
+
+  const fields = {};
+  match[1].split(/\r?\n/).forEach((line) => {
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) return;
+
+    const raw = pair[2].trim();
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      value = /^\[.*\]$/.test(raw)
+        ? raw
+            .slice(1, -1)
+            .split(",")
+            .map((item) => item.trim().replace(/^["']|["']$/g, ""))
+        : raw.replace(/^'(.*)'$/, "$1");
+    }
+    fields[pair[1].toLowerCase()] = value;
+  });
+
+  return { fields, body: content.slice(match[0].length) };
+}
+
+/**
+ * Read a date heading: "2026-01-10", or the long date our Markdown export
+ * writes ("Saturday, January 10, 2026"). Anything else ("Chapter 3",
+ * "Week 1") is not a date, even where Date.parse would accept it.
+ * @param {string} heading - Heading text without the #s
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseHeadingDate(heading) {
+  const text = heading.trim();
+  if (isValidDateKey(text)) {
+    return text;
+  }
+
+  const long = text.match(/^[A-Z][a-z]+, ([A-Z][a-z]+) (\d{1,2}), (\d{4})$/);
+  const month = long ? MONTH_NAMES.indexOf(long[1]) + 1 : 0;
+  if (month === 0) {
+    return null;
+  }
+
+  const dateKey = `${long[3]}-${String(month).padStart(2, "0")}-${long[2].padStart(2, "0")}`;
+
+  // Also checks the weekday
+  return isValidDateKey(dateKey) &&
+    formatDateKey(dateKey, { dateStyle: "full" }) === text
+    ? dateKey
+    : null;
+}
+
+/**
+ * Read the date in a file name (2026-01-10.md, 20260110-notes.txt). Folders
+ * in the path don't count, and neither do impossible dates (2024-13-40.md).
+ * @param {string} name - File name (or path inside the folder)
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseFileNameDate(name) {
+  const baseName = name.split(/[\\/]/).pop();
+  const match = baseName.match(/(\d{4})[-_.]?(\d{2})[-_.]?(\d{2})/);
+  const dateKey = match && `${match[1]}-${match[2]}-${match[3]}`;
+
+  return dateKey && isValidDateKey(dateKey) ? dateKey : null;
+}
+
+/**
+ * Read one Markdown or plain-text file into an import row
+ * The date comes from front matter, then the file name (2026-01-10.md,
+ * 20260110-notes.txt), then a leading date heading
+ * @param {string} name - File name (or path inside the folder)
+ * @param {string} content - File contents
+ * @returns {object} Import row (without a status)
+ */
+function readTextFileEntry(name, content) {
+  const { fields, body } = parseFrontMatter(content);
+
+  let date =
+    typeof fields.date === "string" && isValidDateKey(fields.date.slice(0, 10))
+      ? fields.date.slice(0, 10)
+      : parseFileNameDate(name) || "";
+
+  const prompt = fields.question || fields.prompt || fields.title || "";
+  let questionId = resolveImportedQuestion(prompt, fields.questionid);
+
+  // Leading headings: the date and/or the question, as our export writes them
+  let text = body;
+  for (;;) {
+    const heading = text.match(/^\s*#+\s*([^\n]+)\n?/);
+    if (!heading) break;
+
+    const headingQuestion = resolveImportedQuestion(heading[1]);
+    const headingDate = parseHeadingDate(heading[1]);
+
+    if (headingQuestion && (!questionId || headingQuestion === questionId)) {
+      questionId = headingQuestion;
+    } else if (headingDate) {
+      date = date || headingDate;
+    } else {
+      break;
+    }
+    text = text.slice(heading[0].length);
+  }
+
+  return createImportRow({
+    source: name,
+    date,
+    questionId,
+    prompt: questionId === null && prompt ? String(prompt) : null,
+    text: text.trim(),
+    lastEdited: toIsoTimestamp(
+      fields.edited || fields.lastedited || fields.created || "",
+    ),
+    tags: normalizeImportTags(
+      typeof fields.tags === "string" ? fields.tags.split(",") : fields.tags,
+    ),
+    mood: parseImportedLevel(MOOD_LEVELS, fields.mood),
+    energy: parseImportedLevel(ENERGY_LEVELS, fields.energy),
+  });
+}
+
+/**
+ * Read a folder (or selection) of Markdown and plain-text files
+ * Other files in the folder are ignored
+ * @param {object} state - Application state
+ * @param {Array} files - { name, content }
+ * @returns {Array} Import rows with a status, in file name order
+ */
+function previewTextFilesImport(state, files) {
+  const rows = files
+    .filter((file) => /\.(md|markdown|txt)$/i.test(file.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((file) => readTextFileEntry(file.name, file.content));
+
+  if (rows.length === 0) {
+    throw new Error("No .md or .txt files found");
+  }
+
+  return checkImportRows(state, rows);
+}
@@ -1,6 +1,10 @@
 const STORAGE_KEY = "reflectionApp";
 
+// Bump this whenever the state shape changes, and add a matching migration
+const SCHEMA_VERSION = 12;
+
 const DEFAULT_STATE = {
+  schemaVersion: SCHEMA_VERSION,
   currentQuestionId: 1,
   lastQuestionDate: null,
   reflections: {},
@@ -8,47 +12,516 @@ const DEFAULT_STATE = {
     current: 0,
     longest: 0,
     lastReflectionDate: null,
+    freezesAvailable: 0,
+    freezesUsed: [], // missed dates bridged by a freeze
+  },
+  questionBank: {
+    custom: [],
+    retired: [],
+  },
+  settings: {
+    rotationMode: "all",
+    questionStrategy: "sequential",
+    countBackfillsInStreak: false,
+    restDays: [], // weekdays (0 = Sunday) that never break a streak
+    dayStartHour: 0, // see dates.js
+    timeZone: "", // "" = device timezone
+    autoLockMinutes: 15, // only used while encryption is on; 0 = never
   },
+  rotation: {
+    lastAsked: {}, // category -> last question id asked
+    memory: {}, // strategy name -> whatever that strategy keeps between picks
+  },
+  skips: [], // { date, questionId } for every "different question" request
+  questionLog: {}, // date -> question asked that day (including missed days)
+};
+
+// Streak freezes: one is earned for every run of this many written days in a
+// row, up to MAX_FREEZES. A freeze bridges one missed day.
+const FREEZE_EARN_INTERVAL = 7;
+const MAX_FREEZES = 3;
+
+// Missed days older than this are neither assigned a question nor offered for backfill
+const MAX_CATCH_UP_DAYS = 30;
+
+// Earlier texts of an entry are kept as revisions { text, savedAt }, oldest
+// first: one per REVISION_INTERVAL of editing, plus one before any edit that
+// deletes half of the words or more. The oldest drop off past MAX_REVISIONS.
+const REVISION_INTERVAL = 10 * 60 * 1000; // 10 minutes
+const MAX_REVISIONS = 20;
+
+// How an entry felt, rated 1-5 (null = not rated)
+const MOOD_LEVELS = {
+  1: "😞 Awful",
+  2: "🙁 Low",
+  3: "😐 Okay",
+  4: "🙂 Good",
+  5: "😄 Great",
+};
+
+const ENERGY_LEVELS = {
+  1: "Drained",
+  2: "Tired",
+  3: "Steady",
+  4: "Energetic",
+  5: "Buzzing",
 };
 
-function getTodayDate() {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, "0");
-  const day = String(today.getDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
+// Identifies exported question packs
+const QUESTION_PACK_FORMAT = "rominoflection-questions";
+
+// Ordered migrations. Each one upgrades a state from `version - 1` to `version`.
+// Never change a released migration - add a new one instead.
+const MIGRATIONS = [
+  {
+    // v0 -> v1: unversioned blobs, fill in fields older builds may not have written
+    version: 1,
+    migrate(state) {
+      return {
+        ...state,
+        currentQuestionId: Number.isInteger(state.currentQuestionId)
+          ? state.currentQuestionId
+          : DEFAULT_STATE.currentQuestionId,
+        lastQuestionDate: state.lastQuestionDate || null,
+        streak: { ...DEFAULT_STATE.streak, ...state.streak },
+      };
+    },
+  },
+  {
+    // v1 -> v2: one reflection object per date becomes a list of entries
+    version: 2,
+    migrate(state) {
+      const reflections = {};
+
+      for (const date in state.reflections) {
+        const reflection = state.reflections[date];
+
+        if (Array.isArray(reflection)) {
+          reflections[date] = reflection;
+          continue;
+        }
+
+        reflections[date] = [
+          {
+            id: `${date}-1`,
+            questionId: reflection.questionId,
+            text: reflection.text || "",
+            createdAt: reflection.lastEdited || null,
+            lastEdited: reflection.lastEdited || null,
+          },
+        ];
+      }
+
+      return { ...state, reflections };
+    },
+  },
+  {
+    // v2 -> v3: user-defined questions and retired question ids
+    version: 3,
+    migrate(state) {
+      return {
+        ...state,
+        questionBank: { ...DEFAULT_STATE.questionBank, ...state.questionBank },
+      };
+    },
+  },
+  {
+    // v3 -> v4: question categories/tags and rotation mode settings
+    version: 4,
+    migrate(state) {
+      return {
+        ...state,
+        questionBank: {
+          ...state.questionBank,
+          custom: state.questionBank.custom.map((q) => ({
+            category: "deep",
+            tags: [],
+            ...q,
+          })),
+        },
+        settings: { rotationMode: "all", ...state.settings },
+        rotation: { lastAsked: {}, ...state.rotation },
+      };
+    },
+  },
+  {
+    // v4 -> v5: pluggable question selection strategies
+    version: 5,
+    migrate(state) {
+      return {
+        ...state,
+        settings: { questionStrategy: "sequential", ...state.settings },
+        rotation: { memory: {}, ...state.rotation },
+      };
+    },
+  },
+  {
+    // v5 -> v6: record skipped questions
+    version: 6,
+    migrate(state) {
+      return { skips: [], ...state };
+    },
+  },
+  {
+    // v6 -> v7: log of each day's question, for catching up on missed days
+    version: 7,
+    migrate(state) {
+      const questionLog = {};
+
+      for (const date in state.reflections) {
+        const first = state.reflections[date][0];
+        if (first) {
+          questionLog[date] = first.questionId;
+        }
+      }
+
+      if (state.lastQuestionDate) {
+        questionLog[state.lastQuestionDate] = state.currentQuestionId;
+      }
+
+      return {
+        ...state,
+        settings: { countBackfillsInStreak: false, ...state.settings },
+        questionLog: { ...questionLog, ...state.questionLog },
+      };
+    },
+  },
+  {
+    // v7 -> v8: rest days and streak freezes
+    version: 8,
+    migrate(state) {
+      return {
+        ...state,
+        settings: { restDays: [], ...state.settings },
+        streak: { freezesAvailable: 0, freezesUsed: [], ...state.streak },
+      };
+    },
+  },
+  {
+    // v8 -> v9: "day starts at" hour and home timezone
+    version: 9,
+    migrate(state) {
+      return {
+        ...state,
+        settings: { dayStartHour: 0, timeZone: "", ...state.settings },
+      };
+    },
+  },
+  {
+    // v9 -> v10: mood, energy and tags on each entry
+    version: 10,
+    migrate(state) {
+      const reflections = {};
+
+      for (const date in state.reflections) {
+        reflections[date] = state.reflections[date].map((entry) => ({
+          mood: null,
+          energy: null,
+          tags: [],
+          ...entry,
+        }));
+      }
+
+      return { ...state, reflections };
+    },
+  },
+  {
+    // v10 -> v11: auto-lock delay for encrypted journals
+    version: 11,
+    migrate(state) {
+      return {
+        ...state,
+        settings: { autoLockMinutes: 15, ...state.settings },
+      };
+    },
+  },
+  {
+    // v11 -> v12: earlier versions of each entry's text
+    version: 12,
+    migrate(state) {
+      const reflections = {};
+
+      for (const date in state.reflections) {
+        reflections[date] = state.reflections[date].map((entry) => ({
+          revisions: [],
+          ...entry,
+        }));
+      }
+
+      return { ...state, reflections };
+    },
+  },
+];
+
+// Fresh copy of the default state (nested objects are never shared)
+function createDefaultState() {
+  return JSON.parse(JSON.stringify(DEFAULT_STATE));
 }
 
-// Load state from localStorage
-function loadState() {
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Upgrade a stored or imported state to SCHEMA_VERSION.
+// Throws if the data is unusable, or a "NewerSchemaError" if it was written by
+// a newer version of the app.
+function migrateState(data) {
+  // Older fields (like streak) are filled in by the migrations
+  if (!isPlainObject(data) || !isPlainObject(data.reflections)) {
+    throw new Error("Invalid data structure");
+  }
+
+  const fromVersion = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    throw new Error(`Invalid schema version: ${data.schemaVersion}`);
+  }
+
+  if (fromVersion > SCHEMA_VERSION) {
+    const error = new Error(
+      `Data uses schema v${fromVersion}, this app only supports up to v${SCHEMA_VERSION}`,
+    );
+    error.name = "NewerSchemaError";
+    throw error;
+  }
+
+  const migrated = MIGRATIONS.filter(
+    (migration) => migration.version > fromVersion,
+  ).reduce(
+    (state, migration) => ({
+      ...migration.migrate(state),
+      schemaVersion: migration.version,
+    }),
+    data,
+  );
+
+  if (!isPlainObject(migrated.streak)) {
+    throw new Error("Invalid data structure");
+  }
+  return migrated;
+}
+
+// Storage: the journal is kept as records (see storage.js). The "state"
+// record holds everything except the reflections; each entry is a record of
+// its own ("entry:<date>/<id>"), so a save only writes the entries that
+// changed. While encryption is on, every record is sealed separately; record
+// keys stay readable.
+const STATE_RECORD = "state";
+const ENTRY_RECORD_PREFIX = "entry:";
+
+// Backend from openStorage(), set by initStorage()
+let storageBackend = null;
+
+// Records read by initStorage(): { state, entries, legacy } where legacy
+// means the whole journal was still under STORAGE_KEY in localStorage
+let storedRecords = { state: null, entries: [], legacy: false };
+
+// What the backend holds: the state record, and record key -> entry object.
+// Entries are never changed in place, so an unchanged entry is the same object.
+let savedRecords = { state: null, entries: new Map() };
+
+// Whether the stored data is encrypted (see crypto.js). Set when the journal
+// is unlocked or encryption is turned on or off.
+let encryptionEnabled = false;
+
+// Writes finish in order; whenSaved() waits for the last one and resolves
+// to { ok: true } or { ok: false, error, unsavedSince }
+let pendingWrite = Promise.resolve({ ok: true });
+
+// Waits before retrying a failed write (ms); after the last one it gives up
+const SAVE_RETRY_DELAYS = [1000, 5000];
+
+// When the last successful write was queued: later edits may not be stored
+let savedUpTo = null;
+
+// Set when writing would overwrite data this tab never saw: the stored
+// records couldn't be read or used, or another tab changed more than it can
+// follow.
+// Nothing is written for the rest of the session.
+let writeBlockedError = null;
+
+// Other tabs are told about every write (see listenToOtherTabs); TAB_ID
+// tells this tab's own messages apart
+const TAB_ID = createEntryId();
+let syncChannel = null;
+
+// Bigger writes (e.g. large merges) ask other tabs to reload instead of
+// sending every record
+const MAX_SYNC_RECORDS = 50;
+
+// The legacy single value is moved into localStorage records this many
+// characters at a time (see moveLegacyValue)
+const LEGACY_BATCH_SIZE = 64 * 1024;
+
+// Open the storage backend and read what it holds. Call before loadState().
+async function initStorage() {
+  storageBackend = await openStorage();
+  await readStoredRecords();
+}
+
+// Read what the backend holds into storedRecords
+async function readStoredRecords() {
+  savedRecords = { state: null, entries: new Map() };
+
+  let legacy;
+  let records;
   try {
-    const saved = localStorage.getItem(STORAGE_KEY);
+    // Before IndexedDB, the whole journal was one localStorage value. The
+    // first save moves it into records; until that is done, entries already
+    // moved are records and the rest are still in the value.
+    legacy = localStorage.getItem(STORAGE_KEY);
+    records = await storageBackend.readRecords();
+  } catch (error) {
+    // e.g. storage disabled in private browsing: run from memory, and let
+    // every save report the problem
+    console.error("Error reading storage:", error);
+    writeBlockedError = error;
+    return;
+  }
 
-    if (!saved) {
-      return { ...DEFAULT_STATE };
-    }
+  storedRecords = {
+    state: legacy !== null ? legacy : records[STATE_RECORD] || null,
+    entries: Object.keys(records)
+      .filter((key) => key.startsWith(ENTRY_RECORD_PREFIX))
+      .map((key) => records[key]),
+    legacy: legacy !== null,
+  };
+}
+
+// Check whether the stored data needs a passphrase before loadState() works
+function isStateEncrypted() {
+  try {
+    return isEncryptedEnvelope(JSON.parse(storedRecords.state));
+  } catch (error) {
+    return false;
+  }
+}
 
-    const parsed = JSON.parse(saved);
+// Load the state read by initStorage()
+function loadState() {
+  // Never fall back to the default state here: saving it would replace
+  // the encrypted journal
+  if (isStateEncrypted()) {
+    throw new Error("The journal is locked");
+  }
 
-    // Validate structure (basic check)
-    if (!parsed.reflections || !parsed.streak) {
-      console.warn("Corrupted state detected, using default");
-      return { ...DEFAULT_STATE };
-    }
+  return openSavedState(storedRecords.state, storedRecords.entries);
+}
+
+// Decrypt the stored state. Afterwards saveState() keeps it encrypted.
+// Rejects with "Wrong passphrase" if the passphrase doesn't fit.
+async function unlockState(passphrase) {
+  // Another tab may have saved while this one waited for the passphrase,
+  // or even turned encryption off
+  await readStoredRecords();
+  if (!isStateEncrypted()) {
+    return loadState();
+  }
+
+  const saved = await unlockVault(JSON.parse(storedRecords.state), passphrase);
+  const entries = await Promise.all(
+    storedRecords.entries.map((record) =>
+      openEnvelope(JSON.parse(record)).then(({ text }) => text),
+    ),
+  );
+
+  encryptionEnabled = true;
+  return openSavedState(saved, entries);
+}
 
-    return parsed;
+// Forget the key now; saves already queued still finish with it.
+// Resolves like whenSaved().
+function lockState() {
+  lockVault();
+  return whenSaved();
+}
+
+// Unlock again after lockState(), keeping the state in memory.
+// Rejects with "Wrong passphrase" if the passphrase doesn't fit.
+async function resumeState(passphrase) {
+  await readStoredRecords();
+  await unlockVault(JSON.parse(storedRecords.state), passphrase);
+}
+
+// Build the state from what was read. If it can't be used (corrupt, or from a
+// newer version of the app), run from the default state and block every
+// write: saving it would replace the stored journal.
+function openSavedState(saved, entryRecords) {
+  try {
+    return parseSavedState(saved, entryRecords);
   } catch (error) {
-    console.error("Error loading state:", error);
-    return { ...DEFAULT_STATE };
+    console.error("Stored journal can't be used:", error);
+    writeBlockedError =
+      error.name === "NewerSchemaError" ? error : createUnreadableStateError();
+    return createDefaultState();
   }
 }
 
-//  Save state to localStorage
+function createUnreadableStateError() {
+  const error = new Error("The stored journal couldn't be read");
+  error.name = "UnreadableStateError";
+  return error;
+}
+
+// Build the state from its records (or from a legacy single value)
+function parseSavedState(saved, entryRecords) {
+  if (!saved) {
+    return createDefaultState();
+  }
+
+  const parsed = JSON.parse(saved);
+
+  if (!storedRecords.legacy) {
+    const reflections = {};
+    const entries = new Map();
+    entryRecords
+      .map((record) => JSON.parse(record))
+      .sort((a, b) => a.position - b.position)
+      .forEach(({ date, entry }) => {
+        reflections[date] = [...(reflections[date] || []), entry];
+        entries.set(`${ENTRY_RECORD_PREFIX}${date}/${entry.id}`, entry);
+      });
+    parsed.reflections = reflections;
+
+    // Unchanged records are not written again
+    savedRecords = { state: saved, entries };
+  }
+
+  const state = migrateState(parsed);
+  return storedRecords.legacy ? addMovedEntries(state, entryRecords) : state;
+}
+
+// Add the entries a half-finished move of the legacy value already wrote as
+// records. A record is newer than the same entry in the value.
+function addMovedEntries(state, entryRecords) {
+  const reflections = { ...state.reflections };
+
+  entryRecords
+    .map((record) => JSON.parse(record))
+    .sort((a, b) => a.position - b.position)
+    .forEach(({ date, entry }) => {
+      reflections[date] = [
+        ...(reflections[date] || []).filter((local) => local.id !== entry.id),
+        entry,
+      ];
+    });
+
+  return { ...state, reflections };
+}
+
+// Save state: writes the records that changed since the last save.
+// Writing is async; whenSaved() resolves once it is done.
 
 function saveState(state) {
   try {
-    const serialized = JSON.stringify(state);
-    localStorage.setItem(STORAGE_KEY, serialized);
+    const changes = collectRecordChanges(state);
+    if (Object.keys(changes.put).length === 0 && changes.remove.length === 0) {
+      return true;
+    }
+
+    queueWrite(changes, createRecordSeal(), (written) => {
+      announceRecords(changes, written);
+    });
     return true;
   } catch (error) {
     console.error("Error saving state:", error);
@@ -56,38 +529,718 @@ function saveState(state) {
   }
 }
 
-// Get today's reflection text
+// Queue a write after the ones before it. seal(value) resolves to the record
+// as stored; afterWrite(written) runs once it succeeded, before the next
+// queued write starts. Returns the write, like whenSaved().
+function queueWrite(changes, seal, afterWrite) {
+  const queuedAt = new Date().toISOString();
+  pendingWrite = pendingWrite
+    .then(() => writeWithRetries(changes, seal))
+    .then(
+      (written) => {
+        savedUpTo = queuedAt;
+        afterWrite(written);
+        return { ok: true };
+      },
+      (error) => {
+        console.error("Error saving state:", error);
+        // Unknown what was written: the next save rewrites everything
+        savedRecords = { state: null, entries: new Map() };
+        return { ok: false, error, unsavedSince: savedUpTo };
+      },
+    );
+  return pendingWrite;
+}
+
+// Seal records the way saves currently store them. The key is taken now, so
+// a write still queued when the journal locks can finish.
+function createRecordSeal() {
+  if (!encryptionEnabled) {
+    return async (value) => value;
+  }
+
+  const material = getVaultKey();
+  return async (value) =>
+    JSON.stringify(await encryptWithVault(value, material));
+}
+
+// Work out which records differ from what the backend holds, and assume
+// they will be written. bases holds the lastEdited of each entry as this tab
+// last saw it, so other tabs can tell concurrent edits apart. complete means
+// every record is written, not just the changed ones.
+function collectRecordChanges(state) {
+  const complete = savedRecords.state === null;
+  const { reflections, ...rest } = state;
+  const stateRecord = JSON.stringify(rest);
+  const entries = new Map();
+  const put = {};
+  const bases = {};
+
+  if (stateRecord !== savedRecords.state) {
+    put[STATE_RECORD] = stateRecord;
+  }
+
+  Object.keys(reflections).forEach((date) => {
+    reflections[date].forEach((entry, position) => {
+      const key = `${ENTRY_RECORD_PREFIX}${date}/${entry.id}`;
+      entries.set(key, entry);
+      const saved = savedRecords.entries.get(key);
+      if (saved !== entry) {
+        put[key] = JSON.stringify({ date, position, entry });
+        bases[key] = saved ? saved.lastEdited : null;
+      }
+    });
+  });
+
+  const remove = [...savedRecords.entries.keys()].filter(
+    (key) => !entries.has(key),
+  );
+
+  savedRecords = { state: stateRecord, entries };
+  return { put, remove, bases, complete };
+}
+
+// Write, retrying a few times: storage errors are often momentary (another
+// tab holding the database, a busy disk). A full disk won't clear up by itself.
+async function writeWithRetries(changes, seal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await writeRecordChanges(changes, seal);
+    } catch (error) {
+      if (
+        attempt >= SAVE_RETRY_DELAYS.length ||
+        isQuotaError(error) ||
+        error === writeBlockedError
+      ) {
+        throw error;
+      }
+      await new Promise((resolve) => {
+        setTimeout(resolve, SAVE_RETRY_DELAYS[attempt]);
+      });
+    }
+  }
+}
+
+// Whether an error means the storage is full (names differ by browser)
+function isQuotaError(error) {
+  return Boolean(
+    error &&
+    (error.name === "QuotaExceededError" ||
+      error.name === "NS_ERROR_DOM_QUOTA_REACHED"),
+  );
+}
+
+async function writeRecordChanges(changes, seal) {
+  if (writeBlockedError) {
+    throw writeBlockedError;
+  }
+
+  const put = {};
+  await Promise.all(
+    Object.entries(changes.put).map(async ([key, value]) => {
+      put[key] = await seal(value);
+    }),
+  );
+
+  // Only a write of every record can replace the legacy value. Smaller ones
+  // (queued while an earlier, complete one failed) just add newer records.
+  if (storedRecords.legacy && changes.complete) {
+    await moveLegacyValue(changes, put, seal);
+  } else {
+    await storageBackend.writeRecords({ put, remove: changes.remove });
+  }
+
+  return put;
+}
+
+// Write the first, complete set of records and remove the legacy value.
+// In localStorage both share one quota, and the value alone may fill most of
+// it: entries move a few days at a time, and after each batch the value is
+// written again without them. The state record comes last, so until the value
+// is gone, a reload reads both (see addMovedEntries).
+async function moveLegacyValue(changes, put, seal) {
+  const batchSize =
+    storageBackend.name === "localstorage" ? LEGACY_BATCH_SIZE : Infinity;
+  const existing = new Set(Object.keys(await storageBackend.readRecords()));
+  const stale = [...existing].filter((key) => !(key in put));
+
+  // Entries by date, in order (as collected); a day never spans two batches
+  const byDate = new Map();
+  Object.keys(changes.put)
+    .filter((key) => key.startsWith(ENTRY_RECORD_PREFIX))
+    .map((key) => ({ key, ...JSON.parse(changes.put[key]) }))
+    .forEach((record) => {
+      byDate.set(record.date, [...(byDate.get(record.date) || []), record]);
+    });
+
+  // Days an earlier, unfinished move already wrote go first: writing them
+  // again takes no extra space
+  const moved = (records) => records.every(({ key }) => existing.has(key));
+  const days = new Map([...byDate].sort(([, a], [, b]) => moved(b) - moved(a)));
+
+  let batch = {};
+  let batchLength = 0;
+  for (const [date, records] of days) {
+    records.forEach(({ key }) => {
+      batch[key] = put[key];
+      batchLength += existing.has(key) ? 0 : put[key].length;
+    });
+    days.delete(date);
+
+    if (batchLength >= batchSize || days.size === 0) {
+      await storageBackend.writeRecords({ put: batch, remove: [] });
+      batch = {};
+      batchLength = 0;
+
+      if (days.size > 0 && batchSize !== Infinity) {
+        const reflections = {};
+        days.forEach((rest, restDate) => {
+          reflections[restDate] = rest.map(({ entry }) => entry);
+        });
+        const value = { ...JSON.parse(changes.put[STATE_RECORD]), reflections };
+        localStorage.setItem(STORAGE_KEY, await seal(JSON.stringify(value)));
+      }
+    }
+  }
+
+  await storageBackend.writeRecords({
+    put: { [STATE_RECORD]: put[STATE_RECORD] },
+    remove: stale,
+  });
+  localStorage.removeItem(STORAGE_KEY);
+  storedRecords = { ...storedRecords, legacy: false };
+}
+
+// Tell other tabs what was just written (records as stored, so still
+// encrypted while encryption is on)
+function announceRecords(changes, written) {
+  const count = Object.keys(written).length + changes.remove.length;
+
+  if (count > MAX_SYNC_RECORDS) {
+    postToOtherTabs({ full: true });
+  } else {
+    postToOtherTabs({
+      put: written,
+      remove: changes.remove,
+      bases: changes.bases,
+    });
+  }
+}
+
+function postToOtherTabs(message) {
+  if (syncChannel) {
+    syncChannel.post({ ...message, tab: TAB_ID });
+  }
+}
+
+// Call onChange(message) whenever another tab has saved; pass the message to
+// receiveRecords()
+function listenToOtherTabs(onChange) {
+  syncChannel = openSyncChannel((message) => {
+    if (message.tab !== TAB_ID) {
+      onChange(message);
+    }
+  });
+}
+
+// Take in records another tab has written.
+// Every entry takes the other tab's version, as stored. If this tab changed
+// the entry in the meantime, its version is returned as a conflict
+// { date, current, incoming, newer } for the user to settle with
+// settleTabConflicts(). getUnsavedText(entryId) returns text typed here that
+// isn't saved yet (or null); it counts as a change.
+// Resolves to { state, updated, conflicts, stateChanged } where updated lists
+// the ids of the other entries that changed.
+// Rejects, and stops saving, when this tab can't follow the other one (its
+// passphrase changed, many records were rewritten): it has to reload.
+async function receiveRecords(state, message, getUnsavedText) {
+  if (writeBlockedError) {
+    throw writeBlockedError;
+  }
+
+  try {
+    if (message.full) {
+      throw createStaleTabError();
+    }
+
+    const records = {};
+    await Promise.all(
+      Object.entries(message.put).map(async ([key, value]) => {
+        records[key] = await openRecord(value);
+      }),
+    );
+
+    return applyOtherTabRecords(state, records, message, getUnsavedText);
+  } catch (error) {
+    console.error("Error reading another tab's changes:", error);
+    writeBlockedError =
+      error.name === "StaleTabError" ? error : createStaleTabError();
+    throw writeBlockedError;
+  }
+}
+
+function createStaleTabError() {
+  const error = new Error("The journal changed in another tab");
+  error.name = "StaleTabError";
+  return error;
+}
+
+// Read a record as another tab wrote it: plain JSON, or sealed with the key
+// this tab holds
+async function openRecord(value) {
+  const parsed = JSON.parse(value);
+  if (isEncryptedEnvelope(parsed) !== encryptionEnabled) {
+    throw createStaleTabError();
+  }
+  if (!encryptionEnabled) {
+    return value;
+  }
+  if (!isSealedWithVault(parsed)) {
+    throw createStaleTabError();
+  }
+
+  const { text } = await openEnvelope(parsed);
+  return text;
+}
+
+function applyOtherTabRecords(state, records, message, getUnsavedText) {
+  const stateRecord = records[STATE_RECORD];
+  let newState = state;
+  if (stateRecord) {
+    newState = { ...JSON.parse(stateRecord), reflections: state.reflections };
+    savedRecords.state = stateRecord;
+  }
+
+  const reflections = { ...newState.reflections };
+  const updated = [];
+  const conflicts = [];
+
+  Object.keys(records)
+    .filter((key) => key.startsWith(ENTRY_RECORD_PREFIX))
+    .forEach((key) => {
+      const { date, position, entry } = JSON.parse(records[key]);
+      const entries = reflections[date] || [];
+      const saved = entries.find((local) => local.id === entry.id);
+      const unsavedText = getUnsavedText(entry.id);
+      savedRecords.entries.set(key, entry);
 
-function getTodayReflection(state) {
+      // Typed here but not saved yet, or saved here after the version the
+      // other tab started from
+      const current =
+        saved && unsavedText !== null
+          ? {
+              ...saved,
+              text: unsavedText,
+              lastEdited: new Date().toISOString(),
+            }
+          : saved;
+      const changedHere =
+        saved &&
+        (unsavedText !== null || saved.lastEdited !== message.bases[key]);
+
+      reflections[date] = saved
+        ? entries.map((local) => (local.id === entry.id ? entry : local))
+        : [...entries.slice(0, position), entry, ...entries.slice(position)];
+
+      if (changedHere && !isSameEntry(current, entry)) {
+        conflicts.push({
+          date,
+          current,
+          incoming: entry,
+          newer: isEditedLater(entry, current) ? "incoming" : "current",
+        });
+      } else {
+        updated.push(entry.id);
+      }
+    });
+
+  message.remove.forEach((key) => {
+    const [date, id] = key.slice(ENTRY_RECORD_PREFIX.length).split("/");
+    savedRecords.entries.delete(key);
+    if (!reflections[date] || getUnsavedText(id) !== null) return;
+
+    reflections[date] = reflections[date].filter((entry) => entry.id !== id);
+    updated.push(id);
+  });
+
+  newState = { ...newState, reflections };
+  if (stateRecord) {
+    applyQuestionBank(newState.questionBank);
+    configureDates(newState.settings);
+  }
+
+  return {
+    state: newState,
+    updated,
+    conflicts,
+    stateChanged: Boolean(stateRecord),
+  };
+}
+
+// Keep the version picked for each conflict from receiveRecords().
+// choices: { [conflict index]: "current" | "incoming" }; conflicts without a
+// choice keep the newer version. The kept version is always written: when
+// both tabs saved, only one of them is stored, and the other tab is told
+// which was picked. The other text stays available as a revision.
+function settleTabConflicts(state, conflicts, choices = {}) {
+  const reflections = { ...state.reflections };
+
+  conflicts.forEach((conflict, index) => {
+    const [chosen, other] =
+      (choices[index] || conflict.newer) === "incoming"
+        ? [conflict.incoming, conflict.current]
+        : [conflict.current, conflict.incoming];
+    const kept = {
+      ...chosen,
+      revisions: addRevision(
+        chosen.revisions || [],
+        other.text,
+        other.lastEdited,
+      ),
+    };
+    reflections[conflict.date] = (reflections[conflict.date] || []).map(
+      (entry) => (entry.id === kept.id ? kept : entry),
+    );
+  });
+
+  const newState = { ...state, reflections };
+  newState.streak = calculateStreak(newState);
+
+  saveState(newState);
+  return newState;
+}
+
+// Resolves once every queued save has been written (or has failed)
+function whenSaved() {
+  return pendingWrite;
+}
+
+// How much storage is used: { backend, usage, quota } (bytes), or null
+// when the browser can't tell
+async function getStorageUsage() {
+  const estimate = storageBackend ? await storageBackend.estimateUsage() : null;
+  return estimate && { backend: storageBackend.name, ...estimate };
+}
+
+// Encrypt the journal with a new passphrase (also used to change it).
+// Rejects if the encrypted records couldn't be written.
+async function enableEncryption(state, passphrase) {
+  const material = await createVaultKey(passphrase);
+
+  await switchEncryption(
+    state,
+    async (value) => JSON.stringify(await encryptWithVault(value, material)),
+    () => {
+      installVault(material);
+      encryptionEnabled = true;
+    },
+  );
+}
+
+// Store the journal as plain JSON again
+async function disableEncryption(state) {
+  await switchEncryption(
+    state,
+    async (value) => value,
+    () => {
+      lockVault();
+      encryptionEnabled = false;
+    },
+  );
+}
+
+// Write every record again sealed the new way, and only then switch later
+// saves over with install(). Until the rewrite is committed, the old key
+// stays in use; if it fails, every record is written the old way again.
+async function switchEncryption(state, seal, install) {
+  await whenSaved();
+
+  savedRecords = { state: null, entries: new Map() };
+  const result = await queueWrite(collectRecordChanges(state), seal, () => {
+    install();
+    // Other tabs hold the old key (or none): they have to reload
+    postToOtherTabs({ full: true });
+  });
+
+  if (!result.ok) {
+    rewriteAllRecords(state);
+    throw result.error;
+  }
+}
+
+// Write every record again, sealed the way saves currently store them
+function rewriteAllRecords(state) {
+  savedRecords = { state: null, entries: new Map() };
+  saveState(state);
+}
+
+function isEncryptionEnabled() {
+  return encryptionEnabled;
+}
+
+// Whether lockState() took the key: nothing can be saved until resumeState()
+function isJournalLocked() {
+  return encryptionEnabled && !getVaultKey().key;
+}
+
+// Generate a unique id for a reflection entry
+function createEntryId() {
+  return Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
+}
+
+// Check whether an entry has any real text in it
+function hasReflectionText(entry) {
+  return Boolean(entry && entry.text && entry.text.trim().length > 0);
+}
+
+// Get all entries written on a date (oldest first)
+function getDayEntries(state, date) {
+  return state.reflections[date] || [];
+}
+
+// Get the most recently created entry of a date
+function getLatestEntry(state, date) {
+  const entries = getDayEntries(state, date);
+  return entries.length > 0 ? entries[entries.length - 1] : null;
+}
+
+// Check whether any entry on a date has text (a day counts once for streaks)
+function isDayWritten(state, date) {
+  return getDayEntries(state, date).some(hasReflectionText);
+}
+
+// Get every date with at least one non-empty entry (oldest first)
+function getWrittenDates(state) {
+  return Object.keys(state.reflections)
+    .filter((date) => isDayWritten(state, date))
+    .sort();
+}
+
+// Get the dates that count toward the streak (oldest first).
+// Backfilled entries only count if the user opted in.
+function getStreakDates(state) {
+  const countsForStreak = (entry) =>
+    hasReflectionText(entry) &&
+    (!entry.backfilled || state.settings.countBackfillsInStreak);
+
+  return Object.keys(state.reflections)
+    .filter((date) => getDayEntries(state, date).some(countsForStreak))
+    .sort();
+}
+
+// Find one entry of a date (null if it doesn't exist yet)
+function findEntry(state, date, entryId) {
+  return (
+    getDayEntries(state, date).find((entry) => entry.id === entryId) || null
+  );
+}
+
+// Get today's reflection text (a specific entry, or the latest one)
+
+function getTodayReflection(state, entryId) {
   const today = getTodayDate();
-  const reflection = state.reflections[today];
+  const reflection = entryId
+    ? getDayEntries(state, today).find((entry) => entry.id === entryId)
+    : getLatestEntry(state, today);
   return reflection ? reflection.text : "";
 }
 
-// Save today's reflection
-function saveTodayReflection(state, text) {
-  const today = getTodayDate();
+// Save one of today's entries (created on first save)
+function saveTodayReflection(state, text, entryId) {
+  return saveReflectionEntry(state, getTodayDate(), entryId, text, {
+    questionId: state.currentQuestionId,
+  });
+}
+
+// Save a backfilled entry for a missed day (created on first save)
+function saveBackfillReflection(state, date, entryId, text) {
+  return saveReflectionEntry(state, date, entryId, text, {
+    questionId: state.questionLog[date],
+    backfilled: true,
+  });
+}
+
+// Save an entry on any date. Updates it if it exists, otherwise creates it
+// with the given fields ({ questionId, backfilled }).
+function saveReflectionEntry(state, date, entryId, text, fields) {
+  const entries = getDayEntries(state, date);
+
+  if (entries.some((entry) => entry.id === entryId)) {
+    return updateReflectionEntry(state, date, entryId, text);
+  }
+
+  // Nothing to store for an entry that was never written
+  if (text.length === 0) {
+    return state;
+  }
+
+  const now = new Date().toISOString();
 
   // Create a new state object (immutability principle)
   const newState = {
     ...state,
     reflections: {
       ...state.reflections,
-      [today]: {
-        questionId: state.currentQuestionId,
-        text: text,
-        lastEdited: new Date().toISOString(),
-      },
+      [date]: [
+        ...entries,
+        {
+          id: entryId,
+          mood: null,
+          energy: null,
+          tags: [],
+          revisions: [],
+          ...fields,
+          text: text,
+          createdAt: now,
+          lastEdited: now,
+        },
+      ],
+    },
+  };
+
+  return commitReflectionChange(state, newState, date);
+}
+
+// Set the mood, energy and/or tags of one of today's entries
+function saveTodayEntryDetails(state, entryId, details) {
+  return saveEntryDetails(state, getTodayDate(), entryId, details, {
+    questionId: state.currentQuestionId,
+  });
+}
+
+// Set the mood, energy and/or tags of an entry on any date.
+// Rating before writing is allowed: the entry is created (empty) with the
+// given fields, and the text fills in on the next save.
+function saveEntryDetails(state, date, entryId, details, fields) {
+  const entries = getDayEntries(state, date);
+  const now = new Date().toISOString();
+
+  const updated = entries.some((entry) => entry.id === entryId)
+    ? entries.map((entry) =>
+        entry.id === entryId
+          ? { ...entry, ...details, lastEdited: now }
+          : entry,
+      )
+    : [
+        ...entries,
+        {
+          id: entryId,
+          mood: null,
+          energy: null,
+          tags: [],
+          revisions: [],
+          ...fields,
+          ...details,
+          text: "",
+          createdAt: now,
+          lastEdited: now,
+        },
+      ];
+
+  const newState = {
+    ...state,
+    reflections: { ...state.reflections, [date]: updated },
+  };
+
+  return commitReflectionChange(state, newState, date);
+}
+
+// Update the text of an existing entry on any date
+function updateReflectionEntry(state, date, entryId, text) {
+  const entries = getDayEntries(state, date);
+
+  if (!entries.some((entry) => entry.id === entryId)) {
+    return state;
+  }
+
+  const now = new Date().toISOString();
+  const newState = {
+    ...state,
+    reflections: {
+      ...state.reflections,
+      [date]: entries.map((entry) =>
+        entry.id === entryId
+          ? {
+              ...entry,
+              text: text,
+              revisions: getRevisionsAfterEdit(entry, text, now),
+              lastEdited: now,
+            }
+          : entry,
+      ),
+    },
+  };
+
+  return commitReflectionChange(state, newState, date);
+}
+
+// An entry's revisions once its text changes to newText: the old text is
+// kept when a snapshot is due, or when the edit deletes most of it (an
+// accidental select-all and delete)
+function getRevisionsAfterEdit(entry, newText, now) {
+  const revisions = entry.revisions || [];
+  if (newText === entry.text) {
+    return revisions;
+  }
+
+  const last = revisions[revisions.length - 1];
+  const since = Date.parse(last ? last.savedAt : entry.createdAt) || 0;
+  const due = Date.parse(now) - since >= REVISION_INTERVAL;
+  const deletesMost = countWords(newText) <= countWords(entry.text) / 2;
+
+  return due || deletesMost
+    ? addRevision(revisions, entry.text, entry.lastEdited || now)
+    : revisions;
+}
+
+// Append a revision, skipping empty texts and repeats of the last one
+function addRevision(revisions, text, savedAt) {
+  const last = revisions[revisions.length - 1];
+  if (!text || !text.trim() || (last && last.text === text)) {
+    return revisions;
+  }
+
+  return [...revisions, { text, savedAt }].slice(-MAX_REVISIONS);
+}
+
+// Put back an earlier text of an entry (index into entry.revisions).
+// The text it replaces becomes a revision, so a restore can be undone too.
+function restoreRevision(state, date, entryId, index) {
+  const entry = findEntry(state, date, entryId);
+  const revision = entry && (entry.revisions || [])[index];
+  if (!revision) {
+    return state;
+  }
+
+  const now = new Date().toISOString();
+  const restored = {
+    ...entry,
+    text: revision.text,
+    revisions: addRevision(
+      entry.revisions,
+      entry.text,
+      entry.lastEdited || now,
+    ),
+    lastEdited: now,
+  };
+
+  const newState = {
+    ...state,
+    reflections: {
+      ...state.reflections,
+      [date]: getDayEntries(state, date).map((other) =>
+        other.id === entryId ? restored : other,
+      ),
     },
   };
 
-  // Update streak if this is a new reflection or first reflection of the day
-  const hadReflectionToday =
-    state.reflections[today] && state.reflections[today].text.length > 0;
-  const hasReflectionNow = text.length > 0;
+  return commitReflectionChange(state, newState, date);
+}
 
-  // Only update streak if we went from no reflection to having one
-  if (!hadReflectionToday && hasReflectionNow) {
+// Persist a reflection change. The streak is only recalculated when the
+// day went from empty to written or back, not on every keystroke save.
+function commitReflectionChange(state, newState, date) {
+  if (isDayWritten(state, date) !== isDayWritten(newState, date)) {
     newState.streak = calculateStreak(newState);
   }
 
@@ -96,79 +1249,75 @@ function saveTodayReflection(state, text) {
 }
 
 //   Calculate current and longest streak
+//   Rest days and freezes bridge a gap: they keep the streak alive but don't add to it
 
 function calculateStreak(state) {
-  const dates = Object.keys(state.reflections)
-    .filter((date) => state.reflections[date].text.length > 0) // Only count non-empty reflections
-    .sort()
-    .reverse(); // Most recent first
+  const dates = getStreakDates(state); // Oldest first
 
   if (dates.length === 0) {
-    return { current: 0, longest: 0, lastReflectionDate: null };
+    return {
+      current: 0,
+      longest: 0,
+      lastReflectionDate: null,
+      freezesAvailable: 0,
+      freezesUsed: [],
+    };
   }
 
   const today = getTodayDate();
+  const written = new Set(dates);
+  const restDays = state.settings.restDays;
+  const isGapDay = (date) =>
+    !written.has(date) && !restDays.includes(getWeekdayOfDate(date));
+
   let currentStreak = 0;
   let longestStreak = 0;
-  let tempStreak = 0;
-
-  // Calculate current streak (must include today or yesterday)
-  const latestDate = dates[0];
-  const latestDateObj = new Date(latestDate);
-  const todayObj = new Date(today);
-  const daysSinceLatest = Math.floor(
-    (todayObj - latestDateObj) / (1000 * 60 * 60 * 24),
-  );
+  let sinceLastFreeze = 0;
+  let freezesAvailable = 0;
+  const freezesUsed = [];
 
-  if (daysSinceLatest <= 1) {
-    // Current streak is active
-    for (let i = 0; i < dates.length; i++) {
-      const currentDate = new Date(dates[i]);
+  // Walk every day from the first reflection to today
+  let date = dates[0];
+  while (date <= today) {
+    if (written.has(date)) {
+      currentStreak++;
+      longestStreak = Math.max(longestStreak, currentStreak);
 
-      if (i === 0) {
-        tempStreak = 1;
-      } else {
-        const prevDate = new Date(dates[i - 1]);
-        const daysDiff = Math.floor(
-          (prevDate - currentDate) / (1000 * 60 * 60 * 24),
-        );
-
-        if (daysDiff === 1) {
-          tempStreak++;
-        } else {
-          break; // Streak broken
-        }
+      // Consistent writing earns freezes
+      sinceLastFreeze++;
+      if (sinceLastFreeze === FREEZE_EARN_INTERVAL) {
+        freezesAvailable = Math.min(freezesAvailable + 1, MAX_FREEZES);
+        sinceLastFreeze = 0;
+      }
+    } else if (date !== today && isGapDay(date) && currentStreak > 0) {
+      // Today isn't over yet, so it never breaks the streak.
+      // Spend freezes only if they cover the whole gap (up to the next
+      // reflection, or up to today if the gap is still open).
+      let gap = 0;
+      let cursor = date;
+      while (cursor < today && !written.has(cursor)) {
+        if (isGapDay(cursor)) gap++;
+        cursor = addDaysToDate(cursor, 1);
       }
-    }
-    currentStreak = tempStreak;
-  }
-
-  // Calculate longest streak
-  tempStreak = 1;
-  for (let i = 0; i < dates.length; i++) {
-    if (i === 0) {
-      tempStreak = 1;
-      longestStreak = 1;
-    } else {
-      const currentDate = new Date(dates[i]);
-      const prevDate = new Date(dates[i - 1]);
-      const daysDiff = Math.floor(
-        (prevDate - currentDate) / (1000 * 60 * 60 * 24),
-      );
 
-      if (daysDiff === 1) {
-        tempStreak++;
-        longestStreak = Math.max(longestStreak, tempStreak);
+      if (gap <= freezesAvailable) {
+        freezesAvailable--;
+        freezesUsed.push(date);
       } else {
-        tempStreak = 1;
+        currentStreak = 0; // Streak broken
+        sinceLastFreeze = 0;
       }
     }
+
+    date = addDaysToDate(date, 1);
   }
 
   return {
     current: currentStreak,
     longest: Math.max(longestStreak, state.streak.longest), // Never decrease longest
-    lastReflectionDate: dates[0],
+    lastReflectionDate: dates[dates.length - 1],
+    freezesAvailable,
+    freezesUsed,
   };
 }
 // Check if we need a new question today
@@ -178,10 +1327,26 @@ function updateQuestionIfNeeded(state) {
 
   // If lastQuestionDate is null (first use) or different from today, rotate question
   if (state.lastQuestionDate !== today) {
-    const newState = {
-      ...state,
-      currentQuestionId: getNextQuestionId(state.currentQuestionId),
+    let newState = state;
+
+    // Give each missed day since the last visit its own question, so the
+    // rotation stays on schedule and those days can be caught up on
+    getMissedDatesSince(state.lastQuestionDate, today).forEach((date) => {
+      newState = rotateQuestion(newState, { date });
+      newState.questionLog = {
+        ...newState.questionLog,
+        [date]: newState.currentQuestionId,
+      };
+    });
+
+    newState = rotateQuestion(newState, { date: today });
+    newState = {
+      ...newState,
       lastQuestionDate: today,
+      questionLog: {
+        ...newState.questionLog,
+        [today]: newState.currentQuestionId,
+      },
     };
 
     saveState(newState);
@@ -191,11 +1356,371 @@ function updateQuestionIfNeeded(state) {
   return state;
 }
 
+// Dates strictly between the last visit and today, most recent
+// MAX_CATCH_UP_DAYS only (none on first use)
+function getMissedDatesSince(lastDate, today) {
+  if (!lastDate || lastDate >= today) {
+    return [];
+  }
+
+  const gap = daysBetweenDates(lastDate, today) - 1;
+  const count = Math.min(gap, MAX_CATCH_UP_DAYS);
+  const dates = [];
+
+  for (let i = count; i >= 1; i--) {
+    dates.push(addDaysToDate(today, -i));
+  }
+
+  return dates;
+}
+
+// Days in the catch-up window that had a question but no reflection
+// Returns [{ date, questionId, entryId }] most recent first. entryId is an
+// existing empty backfill entry to reuse, or null.
+function getMissedDays(state) {
+  const today = getTodayDate();
+  const oldest = addDaysToDate(today, -MAX_CATCH_UP_DAYS);
+
+  return Object.keys(state.questionLog)
+    .filter((date) => date < today && date >= oldest)
+    .filter((date) => !isDayWritten(state, date))
+    .sort()
+    .reverse()
+    .map((date) => {
+      const emptyBackfill = getDayEntries(state, date).find(
+        (entry) => entry.backfilled,
+      );
+      return {
+        date,
+        questionId: state.questionLog[date],
+        entryId: emptyBackfill ? emptyBackfill.id : null,
+      };
+    });
+}
+
+// Move the rotation on to the next question (does not save).
+// options are passed through to selectNextQuestion (date, exclude, category).
+function rotateQuestion(state, options) {
+  const next = selectNextQuestion(state.currentQuestionId, {
+    mode: state.settings.rotationMode,
+    strategy: state.settings.questionStrategy,
+    lastAsked: state.rotation.lastAsked,
+    history: getQuestionHistory(state),
+    memory: state.rotation.memory,
+    ...options,
+  });
+  const category = getQuestionCategory(getQuestionById(next.id));
+
+  return {
+    ...state,
+    currentQuestionId: next.id,
+    rotation: {
+      lastAsked: { ...state.rotation.lastAsked, [category]: next.id },
+      memory: next.memory,
+    },
+  };
+}
+
+// Swap today's question for another one from the normal rotation.
+// Questions already skipped today are not offered again (until all are).
+// Returns the state unchanged if there is no other question to offer.
+function skipTodayQuestion(state) {
+  const today = getTodayDate();
+  const current = state.currentQuestionId;
+  const skippedToday = state.skips
+    .filter((skip) => skip.date === today)
+    .map((skip) => skip.questionId);
+
+  // Stay in today's category unless the mode allows any question
+  const category =
+    state.settings.rotationMode === "all"
+      ? null
+      : getQuestionCategory(getQuestionById(current));
+
+  let newState = rotateQuestion(state, {
+    date: today,
+    category,
+    exclude: [...skippedToday, current],
+  });
+
+  // Every question was skipped today: offer them all again
+  if (newState.currentQuestionId === current) {
+    newState = rotateQuestion(state, {
+      date: today,
+      category,
+      exclude: [current],
+    });
+  }
+
+  if (newState.currentQuestionId === current) {
+    return state;
+  }
+
+  newState.skips = [...state.skips, { date: today, questionId: current }];
+  newState.questionLog = {
+    ...state.questionLog,
+    [today]: newState.currentQuestionId,
+  };
+
+  saveState(newState);
+  return newState;
+}
+
+// How often each question was skipped, most skipped first
+// Returns [{ questionId, count }]
+function getSkipStats(state) {
+  const counts = {};
+
+  state.skips.forEach((skip) => {
+    counts[skip.questionId] = (counts[skip.questionId] || 0) + 1;
+  });
+
+  return Object.keys(counts)
+    .map((id) => ({ questionId: Number(id), count: counts[id] }))
+    .sort((a, b) => b.count - a.count || a.questionId - b.questionId);
+}
+
+// How often and how recently each question was answered
+// Returns { [questionId]: { count, lastDate } }
+function getQuestionHistory(state) {
+  const history = {};
+
+  getWrittenDates(state).forEach((date) => {
+    getDayEntries(state, date)
+      // Free writes (questionId null) don't answer a question
+      .filter((entry) => hasReflectionText(entry) && entry.questionId !== null)
+      .forEach((entry) => {
+        const past = history[entry.questionId] || { count: 0, lastDate: null };
+        history[entry.questionId] = { count: past.count + 1, lastDate: date };
+      });
+  });
+
+  return history;
+}
+
+// Change one or more settings
+function updateSettings(state, changes) {
+  const newState = { ...state, settings: { ...state.settings, ...changes } };
+
+  // Day boundaries decide what "today" is for everything below
+  if ("dayStartHour" in changes || "timeZone" in changes) {
+    configureDates(newState.settings);
+  }
+
+  // These change which days make up (or bridge) the streak
+  if (
+    ["countBackfillsInStreak", "restDays", "dayStartHour", "timeZone"].some(
+      (key) => key in changes,
+    )
+  ) {
+    newState.streak = calculateStreak(newState);
+  }
+
+  saveState(newState);
+  return newState;
+}
+
+// Add a user-defined question to the bank
+// details: { text, category, tags }
+function addCustomQuestion(state, details) {
+  const { custom } = state.questionBank;
+
+  return saveQuestionBank(state, {
+    ...state.questionBank,
+    custom: [...custom, createCustomQuestion(custom, details)],
+  });
+}
+
+function createCustomQuestion(custom, details) {
+  const id = custom.reduce(
+    (maxId, q) => Math.max(maxId, q.id + 1),
+    FIRST_CUSTOM_QUESTION_ID,
+  );
+
+  return {
+    id,
+    text: details.text.trim(),
+    category: getQuestionCategory(details),
+    tags: details.tags || [],
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// Change a user-defined question (built-in ones are fixed)
+// details: { text, category, tags }
+function updateCustomQuestion(state, id, details) {
+  return saveQuestionBank(state, {
+    ...state.questionBank,
+    custom: state.questionBank.custom.map((q) =>
+      q.id === id
+        ? {
+            ...q,
+            text: details.text.trim(),
+            category: getQuestionCategory(details),
+            tags: details.tags || [],
+          }
+        : q,
+    ),
+  });
+}
+
+// Retire or restore a question. Retired questions leave the rotation but
+// stay in the bank, so reflections that answered them keep their text.
+function setQuestionRetired(state, id, retired) {
+  const others = state.questionBank.retired.filter((r) => r !== id);
+
+  return saveQuestionBank(state, {
+    ...state.questionBank,
+    retired: retired ? [...others, id] : others,
+  });
+}
+
+function saveQuestionBank(state, questionBank) {
+  const newState = { ...state, questionBank };
+
+  applyQuestionBank(questionBank);
+  saveState(newState);
+  return newState;
+}
+
+// Export the active custom questions as a shareable JSON pack
+function exportQuestionPack(state) {
+  const questions = state.questionBank.custom
+    .filter((q) => !isQuestionRetired(q.id))
+    .map((q) => ({ text: q.text, category: q.category, tags: q.tags }));
+
+  return JSON.stringify(
+    { format: QUESTION_PACK_FORMAT, version: 1, questions },
+    null,
+    2,
+  );
+}
+
+// Import a question pack. Accepts an exported pack or a plain array of
+// strings / { text, category, tags } objects. Questions already in the bank
+// are skipped.
+// Returns { state, added, skipped }, throws on an unreadable pack.
+function importQuestionPack(state, jsonString) {
+  const data = JSON.parse(jsonString);
+  const list = Array.isArray(data) ? data : data && data.questions;
+
+  if (!Array.isArray(list)) {
+    throw new Error("Invalid question pack");
+  }
+
+  const known = new Set(
+    getAllQuestions().map((q) => q.text.trim().toLowerCase()),
+  );
+  const custom = [...state.questionBank.custom];
+  let skipped = 0;
+
+  list.forEach((item) => {
+    const text = typeof item === "string" ? item : item && item.text;
+
+    if (typeof text !== "string" || text.trim().length === 0) {
+      skipped++;
+      return;
+    }
+
+    const key = text.trim().toLowerCase();
+    if (known.has(key)) {
+      skipped++;
+      return;
+    }
+
+    known.add(key);
+    custom.push(
+      createCustomQuestion(custom, {
+        text,
+        category: item.category,
+        tags: Array.isArray(item.tags)
+          ? item.tags.filter((tag) => typeof tag === "string")
+          : [],
+      }),
+    );
+  });
+
+  const added = custom.length - state.questionBank.custom.length;
+  const newState =
+    added > 0
+      ? saveQuestionBank(state, { ...state.questionBank, custom })
+      : state;
+
+  return { state: newState, added, skipped };
+}
+
+// Check whether a date already has an entry with the same text
+function isDuplicateReflection(state, date, text) {
+  const key = text.trim();
+  return getDayEntries(state, date).some(
+    (entry) => (entry.text || "").trim() === key,
+  );
+}
+
+// Add entries from an import (CSV, other journal apps).
+// rows: [{ date, questionId, text, lastEdited, ...fields }], already checked.
+// Rows whose text is already on that date are skipped, so importing the same
+// file twice adds nothing. Returns { state, added, skipped }.
+function importReflections(state, rows) {
+  const reflections = { ...state.reflections };
+  let added = 0;
+  let skipped = 0;
+
+  rows.forEach((row) => {
+    const { date, text, lastEdited, ...fields } = row;
+    const dayState = { reflections };
+
+    if (
+      !hasReflectionText(row) ||
+      isDuplicateReflection(dayState, date, text)
+    ) {
+      skipped++;
+      return;
+    }
+
+    const timestamp = lastEdited || new Date().toISOString();
+    reflections[date] = [
+      ...getDayEntries(dayState, date),
+      {
+        id: createEntryId(),
+        mood: null,
+        energy: null,
+        tags: [],
+        revisions: [],
+        ...fields,
+        text,
+        createdAt: timestamp,
+        lastEdited: timestamp,
+      },
+    ];
+    added++;
+  });
+
+  if (added === 0) {
+    return { state, added, skipped };
+  }
+
+  const newState = { ...state, reflections };
+  newState.streak = calculateStreak(newState);
+  saveState(newState);
+
+  return { state: newState, added, skipped };
+}
+
 // Clear all app data (nuclear option for corrupted state)
+// Resolves to true once everything is deleted
 
-function clearAllData() {
+async function clearAllData() {
   try {
+    await whenSaved();
+
+    encryptionEnabled = false;
+    lockVault();
+    savedRecords = { state: null, entries: new Map() };
+
+    await storageBackend.clear();
     localStorage.removeItem(STORAGE_KEY);
+    postToOtherTabs({ full: true });
     return true;
   } catch (error) {
     console.error("Error clearing data:", error);
@@ -203,32 +1728,166 @@ function clearAllData() {
   }
 }
 
-// Export all data as JSON string
+// Export all data as a JSON string. While encryption is on, the backup is an
+// encrypted envelope that only the same passphrase opens.
+async function exportData(state) {
+  const json = JSON.stringify(state, null, 2); // Pretty print with 2-space indent
 
-function exportData() {
-  const state = loadState();
-  return JSON.stringify(state, null, 2); // Pretty print with 2-space indent
+  return encryptionEnabled
+    ? JSON.stringify(await encryptWithVault(json), null, 2)
+    : json;
 }
 
-// Import data from JSON string
+// Read a backup file, decrypting it if needed.
+// passphrase is only needed for backups sealed with another passphrase.
+// Throws "Passphrase needed" when one is missing, "Wrong passphrase" if it
+// doesn't fit.
+async function readBackup(jsonString, passphrase) {
+  const data = JSON.parse(jsonString);
+  if (!isEncryptedEnvelope(data)) {
+    return jsonString;
+  }
 
-function importData(jsonString) {
-  try {
-    const data = JSON.parse(jsonString);
+  if (!passphrase && !isSealedWithVault(data)) {
+    throw new Error("Passphrase needed");
+  }
+
+  const { text } = await openEnvelope(data, passphrase);
+  return text;
+}
+
+// Merge a backup into the current data instead of replacing it.
+// Reflections are matched by entry id; new ones are added, and an entry that
+// changed on both sides is a conflict for the user (or applyMergeImport) to
+// settle. Custom questions the backup relies on are added, renumbered if
+// their ids are taken. Settings, skips and the question log stay as they are.
+// Returns a plan { added, conflicts, skipped, questions, questionIds } where
+// conflicts are { date, current, incoming, newer: "current" | "incoming" }.
+// Throws on an unreadable backup.
+function planMergeImport(state, jsonString) {
+  // Validates and upgrades older exports to the current shape
+  const backup = migrateState(JSON.parse(jsonString));
 
-    // Validate structure
-    if (!data.reflections || !data.streak) {
-      throw new Error("Invalid data structure");
+  // Backup question id -> id in this bank
+  const questionIds = {};
+  const custom = [...state.questionBank.custom];
+  const questions = [];
+
+  backup.questionBank.custom.forEach((q) => {
+    const key = q.text.trim().toLowerCase();
+    const known = [...Questions, ...custom].find(
+      (mine) => mine.text.trim().toLowerCase() === key,
+    );
+
+    if (known) {
+      questionIds[q.id] = known.id;
+      return;
     }
 
-    // Save imported data
-    saveState(data);
-    return true;
-  } catch (error) {
-    console.error("Error importing data:", error);
-    return false;
+    const added = createCustomQuestion(custom, q);
+    if (q.createdAt) added.createdAt = q.createdAt;
+    custom.push(added);
+    questions.push(added);
+    questionIds[q.id] = added.id;
+  });
+
+  const added = [];
+  const conflicts = [];
+  let skipped = 0;
+
+  Object.keys(backup.reflections)
+    .sort()
+    .forEach((date) => {
+      backup.reflections[date].forEach((backupEntry) => {
+        const incoming = {
+          ...backupEntry,
+          questionId:
+            questionIds[backupEntry.questionId] !== undefined
+              ? questionIds[backupEntry.questionId]
+              : backupEntry.questionId,
+        };
+        const current = findEntry(state, date, incoming.id);
+
+        if (!hasReflectionText(incoming) || isSameEntry(current, incoming)) {
+          skipped++;
+        } else if (current) {
+          conflicts.push({
+            date,
+            current,
+            incoming,
+            newer: isEditedLater(incoming, current) ? "incoming" : "current",
+          });
+        } else if (isDuplicateReflection(state, date, incoming.text)) {
+          skipped++;
+        } else {
+          added.push({ date, entry: incoming });
+        }
+      });
+    });
+
+  return { added, conflicts, skipped, questions, questionIds };
+}
+
+// Whether two versions of an entry say the same thing
+function isSameEntry(a, b) {
+  return (
+    Boolean(a) &&
+    Boolean(b) &&
+    (a.text || "").trim() === (b.text || "").trim() &&
+    a.questionId === b.questionId &&
+    a.mood === b.mood &&
+    a.energy === b.energy &&
+    (a.tags || []).join() === (b.tags || []).join()
+  );
+}
+
+// Whether entry a was edited after entry b (entries never edited count as oldest)
+function isEditedLater(a, b) {
+  return (Date.parse(a.lastEdited) || 0) > (Date.parse(b.lastEdited) || 0);
+}
+
+// Apply a plan from planMergeImport.
+// choices: { [conflict index]: "current" | "incoming" }; conflicts without a
+// choice keep the newer version. A conflict whose entry was deleted since the
+// plan was made (e.g. in another tab) is skipped.
+// Returns { state, added, updated, skipped }.
+function applyMergeImport(state, plan, choices = {}) {
+  const reflections = { ...state.reflections };
+  let updated = 0;
+
+  plan.added.forEach(({ date, entry }) => {
+    reflections[date] = [...(reflections[date] || []), entry];
+  });
+
+  plan.conflicts.forEach((conflict, index) => {
+    if ((choices[index] || conflict.newer) !== "incoming") return;
+    const entries = reflections[conflict.date] || [];
+    if (!entries.some((entry) => entry.id === conflict.incoming.id)) return;
+
+    reflections[conflict.date] = entries.map((entry) =>
+      entry.id === conflict.incoming.id ? conflict.incoming : entry,
+    );
+    updated++;
+  });
+
+  const skipped = plan.skipped + plan.conflicts.length - updated;
+  if (plan.added.length === 0 && updated === 0 && plan.questions.length === 0) {
+    return { state, added: 0, updated: 0, skipped };
   }
+
+  const questionBank = {
+    ...state.questionBank,
+    custom: [...state.questionBank.custom, ...plan.questions],
+  };
+  const newState = { ...state, reflections, questionBank };
+  newState.streak = calculateStreak(newState);
+
+  applyQuestionBank(questionBank);
+  saveState(newState);
+
+  return { state: newState, added: plan.added.length, updated, skipped };
 }
+
 /**
  * Get saved theme preference
  * @returns {string} 'light' or 'dark'
@@ -269,12 +1928,13 @@ function getSystemTheme() {
 /**
  * Calculate writing statistics
  * @param {object} state - Application state
+ * @param {string} [currentEntryId] - Entry being written right now
  * @returns {object} Statistics object
  */
-function calculateStats(state) {
-  const reflections = Object.values(state.reflections).filter(
-    (r) => r.text && r.text.trim().length > 0,
-  );
+function calculateStats(state, currentEntryId) {
+  const reflections = Object.values(state.reflections)
+    .flat()
+    .filter(hasReflectionText);
 
   if (reflections.length === 0) {
     return {
@@ -301,7 +1961,7 @@ function calculateStats(state) {
   const shortestReflection = Math.min(...wordCounts);
 
   // Current reflection word count
-  const todayReflection = getTodayReflection(state);
+  const todayReflection = getTodayReflection(state, currentEntryId);
   const currentWords = countWords(todayReflection);
 
   return {
@@ -342,9 +2002,7 @@ function countWords(text) {
  * @returns {object} Streak statistics
  */
 function getStreakStats(state) {
-  const dates = Object.keys(state.reflections)
-    .filter((date) => state.reflections[date].text.length > 0)
-    .sort();
+  const dates = getWrittenDates(state);
 
   if (dates.length === 0) {
     return {
@@ -359,11 +2017,7 @@ function getStreakStats(state) {
   const lastDate = dates[dates.length - 1];
 
   // Calculate days between first and last reflection
-  const firstDateObj = new Date(firstDate);
-  const lastDateObj = new Date(lastDate);
-  const daysSinceFirst = Math.floor(
-    (lastDateObj - firstDateObj) / (1000 * 60 * 60 * 24),
-  );
+  const daysSinceFirst = daysBetweenDates(firstDate, lastDate);
 
   return {
     totalDays: dates.length,
@@ -373,6 +2027,259 @@ function getStreakStats(state) {
   };
 }
 
+/**
+ * Get total words written per day
+ * @param {object} state - Application state
+ * @returns {object} { [YYYY-MM-DD]: words } for days with writing
+ */
+function getDailyWordCounts(state) {
+  const counts = {};
+
+  getWrittenDates(state).forEach((date) => {
+    counts[date] = getDayEntries(state, date).reduce(
+      (sum, entry) => sum + countWords(entry.text),
+      0,
+    );
+  });
+
+  return counts;
+}
+
+/**
+ * Get runs of consecutive writing days
+ * @param {object} state - Application state
+ * @returns {Array} { start, end, length } oldest first
+ */
+function getStreakRuns(state) {
+  const runs = [];
+
+  getWrittenDates(state).forEach((date) => {
+    const last = runs[runs.length - 1];
+
+    if (last && addDaysToDate(last.end, 1) === date) {
+      last.end = date;
+      last.length++;
+    } else {
+      runs.push({ start: date, end: date, length: 1 });
+    }
+  });
+
+  return runs;
+}
+
+// Trend chart buckets: how many to show and the rolling average window
+const TREND_PERIODS = {
+  day: { label: "Daily", count: 30, window: 7 },
+  week: { label: "Weekly", count: 26, window: 4 },
+  month: { label: "Monthly", count: 12, window: 3 },
+};
+
+/**
+ * Get the bucket a date falls in
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} period - "day", "week" (starting Sunday) or "month"
+ * @returns {string} First date of the bucket
+ */
+function getPeriodStart(date, period) {
+  if (period === "month") return `${date.slice(0, 7)}-01`;
+  if (period === "week") return addDaysToDate(date, -getWeekdayOfDate(date));
+  return date;
+}
+
+/**
+ * Step from one bucket to the next
+ * @param {string} start - First date of a bucket
+ * @param {string} period - "day", "week" or "month"
+ * @param {number} steps - May be negative
+ * @returns {string} First date of the other bucket
+ */
+function shiftPeriod(start, period, steps) {
+  if (period === "week") return addDaysToDate(start, steps * 7);
+  if (period === "day") return addDaysToDate(start, steps);
+
+  const [year, month] = start.split("-").map(Number);
+  const index = year * 12 + (month - 1) + steps;
+  const shiftedMonth = String((index % 12) + 1).padStart(2, "0");
+  return `${Math.floor(index / 12)}-${shiftedMonth}-01`;
+}
+
+/**
+ * Get words written per day, week or month, ending with the current one
+ * @param {object} state - Application state
+ * @param {string} period - Key of TREND_PERIODS
+ * @returns {Array} { start, words, average } oldest first; average is the
+ *   rolling mean over the period's window (including the bucket itself)
+ */
+function getWordTrend(state, period) {
+  const { count, window } = TREND_PERIODS[period];
+  const dailyWords = getDailyWordCounts(state);
+  const totals = {};
+
+  for (const date in dailyWords) {
+    const start = getPeriodStart(date, period);
+    totals[start] = (totals[start] || 0) + dailyWords[date];
+  }
+
+  // Extra buckets before the first one feed its rolling average
+  const last = getPeriodStart(getTodayDate(), period);
+  const words = [];
+  for (let i = count + window - 2; i >= 0; i--) {
+    words.push(totals[shiftPeriod(last, period, -i)] || 0);
+  }
+
+  return words.slice(window - 1).map((value, index) => {
+    const recent = words.slice(index, index + window);
+    return {
+      start: shiftPeriod(last, period, index - count + 1),
+      words: value,
+      average: Math.round(
+        recent.reduce((sum, n) => sum + n, 0) / recent.length,
+      ),
+    };
+  });
+}
+
+/**
+ * Count entries by the hour they were last edited
+ * Backfilled entries are left out: they were written on a different day
+ * @param {object} state - Application state
+ * @returns {number[]} 24 counts, index = hour of day
+ */
+function getWritingHours(state) {
+  const hours = new Array(24).fill(0);
+
+  Object.values(state.reflections)
+    .flat()
+    .filter((entry) => hasReflectionText(entry) && !entry.backfilled)
+    .forEach((entry) => {
+      if (entry.lastEdited) {
+        hours[getHourOfDay(entry.lastEdited)]++;
+      }
+    });
+
+  return hours;
+}
+
+/**
+ * Share of days written in each month since the first reflection
+ * Rest days don't count against a month
+ * @param {object} state - Application state
+ * @returns {Array} { month (YYYY-MM-01), written, days, rate (0-100) }
+ */
+function getMonthlyCompletion(state) {
+  const dates = getWrittenDates(state);
+  if (dates.length === 0) return [];
+
+  const written = new Set(dates);
+  const restDays = state.settings.restDays;
+  const today = getTodayDate();
+  const first = dates[0];
+  const months = [];
+
+  const lastMonth = getPeriodStart(today, "month");
+  let month = getPeriodStart(first, "month");
+  while (month <= lastMonth) {
+    const next = shiftPeriod(month, "month", 1);
+    let days = 0;
+    let writtenDays = 0;
+
+    // Only days the journal existed for: from the first entry up to today
+    for (
+      let date = month;
+      date < next && date <= today;
+      date = addDaysToDate(date, 1)
+    ) {
+      if (date >= first) {
+        if (written.has(date)) {
+          writtenDays++;
+          days++;
+        } else if (!restDays.includes(getWeekdayOfDate(date))) {
+          days++;
+        }
+      }
+    }
+
+    months.push({
+      month,
+      written: writtenDays,
+      days,
+      rate: days > 0 ? Math.round((writtenDays / days) * 100) : 0,
+    });
+    month = next;
+  }
+
+  return months;
+}
+
+/**
+ * Get every rated entry with its word count
+ * @param {object} state - Application state
+ * @returns {Array} { date, mood, words } oldest first
+ */
+function getRatedEntries(state) {
+  return getWrittenDates(state).flatMap((date) =>
+    getDayEntries(state, date)
+      .filter((entry) => hasReflectionText(entry) && entry.mood)
+      .map((entry) => ({
+        date,
+        mood: entry.mood,
+        words: countWords(entry.text),
+      })),
+  );
+}
+
+/**
+ * Average mood per day, week or month, ending with the current one
+ * @param {object} state - Application state
+ * @param {string} period - Key of TREND_PERIODS
+ * @returns {Array} { start, mood (average, null if unrated), count }
+ */
+function getMoodTrend(state, period) {
+  const totals = {};
+
+  getRatedEntries(state).forEach((entry) => {
+    const start = getPeriodStart(entry.date, period);
+    const total = totals[start] || { sum: 0, count: 0 };
+    totals[start] = { sum: total.sum + entry.mood, count: total.count + 1 };
+  });
+
+  const { count } = TREND_PERIODS[period];
+  const last = getPeriodStart(getTodayDate(), period);
+  const trend = [];
+
+  for (let i = count - 1; i >= 0; i--) {
+    const start = shiftPeriod(last, period, -i);
+    const total = totals[start];
+    trend.push({
+      start,
+      mood: total ? Math.round((total.sum / total.count) * 10) / 10 : null,
+      count: total ? total.count : 0,
+    });
+  }
+
+  return trend;
+}
+
+/**
+ * Average words written at each mood rating
+ * @param {object} state - Application state
+ * @returns {Array} { mood (1-5), entries, averageWords }
+ */
+function getWordsByMood(state) {
+  const rated = getRatedEntries(state);
+
+  return Object.keys(MOOD_LEVELS).map((level) => {
+    const entries = rated.filter((entry) => entry.mood === Number(level));
+    const words = entries.reduce((sum, entry) => sum + entry.words, 0);
+
+    return {
+      mood: Number(level),
+      entries: entries.length,
+      averageWords: entries.length ? Math.round(words / entries.length) : 0,
+    };
+  });
+}
+
 /**
  * Format number with commas for readability
  * @param {number} num - Number to format
@@ -0,0 +1,204 @@
+/**
+ * Storage Backends
+ * Where the journal's records live. A record is a string under a key: one
+ * for the app state and one per reflection entry (see state.js), so a save
+ * only rewrites what changed.
+ * IndexedDB is used where available, localStorage otherwise. Both offer:
+ *   readRecords()          -> Promise<{ [key]: string }>
+ *   writeRecords(changes)  -> Promise, changes: { put: { [key]: string }, remove: [key] }
+ *   clear()                -> Promise
+ *   estimateUsage()        -> Promise<{ usage, quota } | null> in bytes
+ * Other open tabs hear about writes through openSyncChannel().
+ */
+
+const DB_NAME = "rominoflection";
+const DB_VERSION = 1;
+const DB_STORE = "records";
+
+// localStorage keys of the fallback backend start with this
+const RECORD_KEY_PREFIX = "reflectionApp:";
+
+// Browsers don't report the localStorage quota; most allow about 5 MB
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+// Tabs talk over a BroadcastChannel, or through storage events on this key
+// where there is none (it is outside RECORD_KEY_PREFIX on purpose)
+const SYNC_CHANNEL = "rominoflection-sync";
+const SYNC_STORAGE_KEY = "reflectionAppSync";
+
+/**
+ * Open the best storage available
+ * @returns {Promise<object>} Backend
+ */
+async function openStorage() {
+  if (window.indexedDB) {
+    try {
+      return await openIndexedDbStorage();
+    } catch (error) {
+      // e.g. private browsing modes that block IndexedDB
+      console.warn("IndexedDB unavailable, using localStorage:", error);
+    }
+  }
+
+  return createLocalStorageBackend();
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise} Resolves with the request's result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the IndexedDB backend
+ * @returns {Promise<object>} Backend
+ */
+async function openIndexedDbStorage() {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(DB_STORE);
+  };
+  const db = await promisifyRequest(request);
+
+  // Run a transaction; resolves once it has been committed
+  const transact = (mode, work) =>
+    new Promise((resolve, reject) => {
+      const transaction = db.transaction(DB_STORE, mode);
+      const result = work(transaction.objectStore(DB_STORE));
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+  return {
+    name: "indexeddb",
+
+    async readRecords() {
+      let keys;
+      let values;
+      await transact("readonly", (store) => {
+        promisifyRequest(store.getAllKeys()).then((result) => {
+          keys = result;
+        });
+        promisifyRequest(store.getAll()).then((result) => {
+          values = result;
+        });
+      });
+
+      const records = {};
+      keys.forEach((key, index) => {
+        records[key] = values[index];
+      });
+      return records;
+    },
+
+    writeRecords(changes) {
+      return transact("readwrite", (store) => {
+        Object.entries(changes.put).forEach(([key, value]) => {
+          store.put(value, key);
+        });
+        changes.remove.forEach((key) => store.delete(key));
+      });
+    },
+
+    clear() {
+      return transact("readwrite", (store) => {
+        store.clear();
+      });
+    },
+
+    async estimateUsage() {
+      if (!navigator.storage || !navigator.storage.estimate) return null;
+
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage, quota };
+    },
+  };
+}
+
+/**
+ * Create the localStorage backend (one localStorage key per record)
+ * @returns {object} Backend
+ */
+function createLocalStorageBackend() {
+  const recordKeys = () =>
+    Object.keys(localStorage).filter((key) =>
+      key.startsWith(RECORD_KEY_PREFIX),
+    );
+
+  return {
+    name: "localstorage",
+
+    async readRecords() {
+      const records = {};
+      recordKeys().forEach((key) => {
+        records[key.slice(RECORD_KEY_PREFIX.length)] =
+          localStorage.getItem(key);
+      });
+      return records;
+    },
+
+    async writeRecords(changes) {
+      Object.entries(changes.put).forEach(([key, value]) => {
+        localStorage.setItem(RECORD_KEY_PREFIX + key, value);
+      });
+      changes.remove.forEach((key) => {
+        localStorage.removeItem(RECORD_KEY_PREFIX + key);
+      });
+    },
+
+    async clear() {
+      recordKeys().forEach((key) => localStorage.removeItem(key));
+    },
+
+    async estimateUsage() {
+      // Strings are stored as UTF-16: two bytes per character
+      const usage = Object.keys(localStorage).reduce(
+        (total, key) =>
+          total + (key.length + localStorage.getItem(key).length) * 2,
+        0,
+      );
+      return { usage, quota: LOCAL_STORAGE_QUOTA };
+    },
+  };
+}
+
+/**
+ * Open the channel between tabs of the app
+ * Messages go to every other tab, never back to the sender
+ * @param {Function} onMessage - Called with each message from another tab
+ * @returns {object} { post(message) }
+ */
+function openSyncChannel(onMessage) {
+  if (window.BroadcastChannel) {
+    const channel = new BroadcastChannel(SYNC_CHANNEL);
+    channel.onmessage = (event) => onMessage(event.data);
+    return { post: (message) => channel.postMessage(message) };
+  }
+
+  // storage events fire in the other tabs when a value changes. The key is
+  // removed right away: the next message changes it again, and nothing is
+  // left behind.
+  window.addEventListener("storage", (event) => {
+    if (event.key === SYNC_STORAGE_KEY && event.newValue) {
+      onMessage(JSON.parse(event.newValue).message);
+    }
+  });
+
+  return {
+    post(message) {
+      try {
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ message }));
+        localStorage.removeItem(SYNC_STORAGE_KEY);
+      } catch (error) {
+        console.warn("Couldn't notify other tabs:", error);
+      }
+    },
+  };
+}
@@ -1,6 +1,6 @@
 /**
  * Render the entire app with initial data
- * @param {object} data - { question, reflection, streak, date }
+ * @param {object} data - { question, reflection, details, streak, date }
  */
 function renderApp(data) {
   // Render question
@@ -8,6 +8,7 @@ function renderApp(data) {
 
   // Render reflection
   renderReflection(data.reflection);
+  renderEntryDetails(data.details);
 
   // Render streak
   updateStreakDisplay(data.streak);
@@ -43,6 +44,41 @@ function renderReflection(text) {
   }
 }
 
+/**
+ * Render the mood, energy and tags of the entry being written
+ * @param {object|null} entry - Entry, or null for a blank one
+ */
+function renderEntryDetails(entry) {
+  const mood = document.getElementById("entry-mood");
+  const energy = document.getElementById("entry-energy");
+  const tags = document.getElementById("entry-tags");
+
+  fillLevelSelect(mood, MOOD_LEVELS, "Not rated");
+  fillLevelSelect(energy, ENERGY_LEVELS, "Not rated");
+
+  if (mood) mood.value = entry && entry.mood ? String(entry.mood) : "";
+  if (energy) energy.value = entry && entry.energy ? String(entry.energy) : "";
+  if (tags) tags.value = entry && entry.tags ? entry.tags.join(", ") : "";
+}
+
+/**
+ * Fill a select with rating levels (once)
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {object} levels - { [value]: label }, e.g. MOOD_LEVELS
+ * @param {string} emptyLabel - Label of the "" option
+ */
+function fillLevelSelect(select, levels, emptyLabel) {
+  if (!select || select.options.length > 1) return;
+
+  select.innerHTML = "";
+  [["", emptyLabel], ...Object.entries(levels)].forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+}
+
 /**
  * Update streak display
  * @param {object} streak - { current, longest }
@@ -58,14 +94,120 @@ function updateStreakDisplay(streak) {
   if (longestStreakEl) {
     longestStreakEl.textContent = streak.longest;
   }
+
+  const freezesEl = document.getElementById("freezes-value");
+  const freezesLabel = document.getElementById("freezes-label");
+
+  if (freezesEl && freezesLabel) {
+    const freezes = streak.freezesAvailable || 0;
+    freezesEl.textContent = freezes;
+    freezesLabel.textContent = freezes === 1 ? "freeze left" : "freezes left";
+  }
+}
+
+/**
+ * Show how many entries were already written today
+ * @param {number} earlierCount - Non-empty entries before the current one
+ */
+function updateEntryInfo(earlierCount) {
+  const entryInfo = document.getElementById("entry-info");
+  if (!entryInfo) return;
+
+  if (earlierCount === 0) {
+    entryInfo.textContent = "";
+  } else {
+    const plural = earlierCount === 1 ? "entry" : "entries";
+    entryInfo.textContent = `${earlierCount} earlier ${plural} today`;
+  }
+}
+
+/**
+ * Render the stats heatmap
+ * @param {number} year - Year shown
+ * @param {object} days - Cell data (see createHeatmapSvg)
+ * @param {object} options - { hasPrev, hasNext, summary }
+ */
+function renderHeatmap(year, days, options) {
+  const grid = document.getElementById("heatmap-grid");
+  const yearLabel = document.getElementById("heatmap-year");
+  const prev = document.getElementById("heatmap-prev");
+  const next = document.getElementById("heatmap-next");
+  const summary = document.getElementById("heatmap-summary");
+
+  if (!grid) return;
+
+  grid.innerHTML = "";
+  grid.appendChild(createHeatmapSvg(year, days));
+
+  if (yearLabel) yearLabel.textContent = year;
+  if (prev) prev.disabled = !options.hasPrev;
+  if (next) next.disabled = !options.hasNext;
+  if (summary) summary.textContent = options.summary;
+}
+
+/**
+ * Render the trend charts in the stats panel
+ * @param {object} trends - { period, window, words: { bars, line }, hours,
+ *   completion, mood, moodWords } (bars as taken by createBarChartSvg)
+ */
+function renderTrendCharts(trends) {
+  const periodSelect = document.getElementById("trend-period");
+  if (periodSelect && periodSelect.options.length === 0) {
+    for (const key in TREND_PERIODS) {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = TREND_PERIODS[key].label;
+      periodSelect.appendChild(option);
+    }
+  }
+  if (periodSelect) periodSelect.value = trends.period;
+
+  const windowLabel = document.getElementById("trend-window");
+  if (windowLabel) windowLabel.textContent = trends.window;
+
+  const charts = [
+    [
+      "trend-words",
+      trends.words.bars,
+      { line: trends.words.line },
+      "Words written over time",
+    ],
+    ["trend-hours", trends.hours, {}, "Entries by hour of the day"],
+    [
+      "trend-completion",
+      trends.completion,
+      { max: 100 },
+      "Share of days written per month",
+    ],
+    ["trend-mood", trends.mood, { max: 5 }, "Average mood over time"],
+    ["trend-mood-words", trends.moodWords, {}, "Average words by mood"],
+  ];
+
+  charts.forEach(([id, bars, options, ariaLabel]) => {
+    const container = document.getElementById(id);
+    if (!container) return;
+
+    container.innerHTML = "";
+    if (bars.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "chart-empty";
+      empty.textContent = "Nothing to chart yet.";
+      container.appendChild(empty);
+      return;
+    }
+    container.appendChild(createBarChartSvg(bars, { ...options, ariaLabel }));
+  });
 }
 
 /**
  * Show save status indicator
  * @param {string} status - 'saving', 'saved', or 'idle'
+ * @param {HTMLElement} [saveMessage] - Indicator to update (defaults to today's)
  */
-function showSaveStatus(status) {
-  const saveMessage = document.getElementById("save-message");
+function showSaveStatus(
+  status,
+  saveMessage = document.getElementById("save-message"),
+) {
   if (!saveMessage) return;
 
   switch (status) {
@@ -83,21 +225,96 @@ function showSaveStatus(status) {
       break;
   }
 }
+/**
+ * Show the "not saved" banner
+ * @param {string} message - What went wrong
+ */
+function showSaveError(message) {
+  const banner = document.getElementById("save-error");
+  if (!banner) return;
+
+  document.getElementById("save-error-message").textContent = message;
+  banner.removeAttribute("hidden");
+}
+
+/**
+ * Hide the "not saved" banner
+ */
+function hideSaveError() {
+  const banner = document.getElementById("save-error");
+  if (banner) {
+    banner.setAttribute("hidden", "");
+  }
+}
+
+/**
+ * Show how much storage the journal uses
+ * @param {object|null} usage - { backend, usage, quota } in bytes, or null
+ *   when the browser can't tell
+ */
+function renderStorageUsage(usage) {
+  const element = document.getElementById("storage-usage");
+  if (!element) return;
+
+  if (!usage) {
+    element.textContent = "";
+    return;
+  }
+
+  const where = usage.backend === "indexeddb" ? "IndexedDB" : "localStorage";
+  const percent = usage.quota
+    ? Math.round((usage.usage / usage.quota) * 100)
+    : 0;
+
+  element.textContent = `Using ${formatBytes(usage.usage)} of ${
+    usage.backend === "indexeddb" ? "" : "about "
+  }${formatBytes(usage.quota)} (${where}, ${percent}%).`;
+  element.classList.toggle("storage-usage-high", percent >= 90);
+}
+
+/**
+ * Format a size in bytes
+ * @param {number} bytes - Size
+ * @returns {string} e.g. "1.2 MB"
+ */
+function formatBytes(bytes) {
+  const units = ["bytes", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return unit === 0
+    ? `${value} ${units[0]}`
+    : `${Number(value.toFixed(value < 10 ? 1 : 0))} ${units[unit]}`;
+}
+
 /**
  * Show history panel with past reflections
- * @param {Array} reflections - Array of reflection objects
+ * @param {Array} reflections - Reflection objects to render (first page)
+ * @param {object} [options] - { terms, totalCount, matchCount }
  */
-function showHistoryPanel(reflections) {
+function showHistoryPanel(reflections, options = {}) {
   const panel = document.getElementById("history-panel");
   const historyList = document.getElementById("history-list");
 
   if (!panel || !historyList) return;
 
+  const {
+    terms = [],
+    totalCount = reflections.length,
+    matchCount = reflections.length,
+  } = options;
+
   // Clear existing content
   historyList.innerHTML = "";
+  updateHistoryResultsCount(matchCount, totalCount);
+  updateHistoryMoreButton(matchCount > reflections.length);
 
   // If no reflections, show empty state
-  if (reflections.length === 0) {
+  if (totalCount === 0) {
     historyList.innerHTML = `
       <div class="empty-state">
         <div class="empty-state-icon">📝</div>
@@ -112,42 +329,408 @@ function showHistoryPanel(reflections) {
     return;
   }
 
+  // Reflections exist, but none match the filters
+  if (matchCount === 0) {
+    historyList.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon">🔍</div>
+        <h3 class="empty-state-title">No matching reflections</h3>
+        <p class="empty-state-description">
+          Try different words or widen the date range.
+        </p>
+      </div>
+    `;
+    panel.removeAttribute("hidden");
+    return;
+  }
+
   // Render each reflection
-  reflections.forEach((reflection) => {
-    const item = createHistoryItem(reflection);
-    historyList.appendChild(item);
-  });
+  appendHistoryItems(reflections, terms);
 
   // Show panel
   panel.removeAttribute("hidden");
 }
 
+/**
+ * Append reflections to the history list
+ * @param {Array} reflections - Reflection objects
+ * @param {Array} terms - Search terms to highlight
+ */
+function appendHistoryItems(reflections, terms) {
+  const historyList = document.getElementById("history-list");
+  if (!historyList) return;
+
+  // Build off-DOM first so long pages cause a single reflow
+  const fragment = document.createDocumentFragment();
+  reflections.forEach((reflection) => {
+    fragment.appendChild(createHistoryItem(reflection, terms));
+  });
+  historyList.appendChild(fragment);
+}
+
+/**
+ * Update "x of y reflections" under the history filters
+ * @param {number} matchCount - Reflections matching the filters
+ * @param {number} totalCount - All reflections
+ */
+function updateHistoryResultsCount(matchCount, totalCount) {
+  const count = document.getElementById("history-results-count");
+  if (!count) return;
+
+  const plural = totalCount === 1 ? "reflection" : "reflections";
+  count.textContent =
+    matchCount === totalCount
+      ? `${formatNumber(totalCount)} ${plural}`
+      : `${formatNumber(matchCount)} of ${formatNumber(totalCount)} ${plural}`;
+}
+
+/**
+ * Show or hide the "Show more" button
+ * @param {boolean} hasMore - Whether more results can be rendered
+ */
+function updateHistoryMoreButton(hasMore) {
+  const button = document.getElementById("history-more");
+  if (!button) return;
+
+  if (hasMore) {
+    button.removeAttribute("hidden");
+  } else {
+    button.setAttribute("hidden", "");
+  }
+}
+
+/**
+ * Fill the history question filter
+ * @param {Array} questions - { id, text } objects
+ */
+function renderQuestionFilter(questions) {
+  const select = document.getElementById("history-question");
+  if (!select) return;
+
+  const selected = select.value;
+
+  // Keep the "All questions" option
+  select.length = 1;
+
+  questions.forEach((question) => {
+    const option = document.createElement("option");
+    option.value = String(question.id);
+    option.textContent = question.text;
+    select.appendChild(option);
+  });
+
+  // Restore the previous choice if that question is still listed
+  select.value = questions.some((q) => String(q.id) === selected)
+    ? selected
+    : "";
+}
+
+/**
+ * Fill the mood and tag filters of the history panel
+ * @param {Array} tags - Tags in use, alphabetically
+ */
+function renderDetailFilters(tags) {
+  const mood = document.getElementById("history-mood");
+  const tag = document.getElementById("history-tag");
+
+  fillLevelSelect(mood, MOOD_LEVELS, "Any mood");
+  if (!tag) return;
+
+  const selected = tag.value;
+
+  // Keep the "Any tag" option
+  tag.length = 1;
+
+  tags.forEach((name) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = `#${name}`;
+    tag.appendChild(option);
+  });
+
+  tag.value = tags.includes(selected) ? selected : "";
+}
+
+/**
+ * Append text to an element, wrapping search matches in <mark>
+ * @param {HTMLElement} element - Target element
+ * @param {string} text - Text to append
+ * @param {Array} terms - Lower-case search terms
+ */
+function appendHighlightedText(element, text, terms) {
+  if (!terms || terms.length === 0) {
+    element.textContent = text;
+    return;
+  }
+
+  // Longest first so overlapping terms highlight the bigger match
+  const pattern = terms
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+
+  // With a capture group, split() puts the matches at odd indexes
+  text.split(new RegExp(`(${pattern})`, "gi")).forEach((part, index) => {
+    if (index % 2 === 1) {
+      const mark = document.createElement("mark");
+      mark.textContent = part;
+      element.appendChild(mark);
+    } else if (part) {
+      element.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
 /**
  * Create a history item element
  * @param {object} reflection - Reflection data
+ * @param {Array} [terms] - Search terms to highlight
  * @returns {HTMLElement}
  */
-function createHistoryItem(reflection) {
+function createHistoryItem(reflection, terms = []) {
   const item = document.createElement("article");
   item.className = "history-item";
+  item.dataset.date = reflection.date;
+  item.dataset.entryId = reflection.entryId;
 
   const date = document.createElement("time");
   date.textContent = formatDateForDisplay(reflection.date);
   date.setAttribute("datetime", reflection.date);
 
+  // Show the time too, since a day can hold several entries.
+  // Backfills were written on a later day, so their time means nothing here.
+  if (reflection.backfilled) {
+    date.textContent += " · Backfilled";
+    item.classList.add("history-item-backfilled");
+  } else if (reflection.createdAt) {
+    date.textContent += ` · ${formatTimeOfDay(reflection.createdAt)}`;
+  }
+
   const question = document.createElement("h3");
-  question.textContent = reflection.questionText;
+  appendHighlightedText(question, reflection.questionText, terms);
 
   const text = document.createElement("p");
-  text.textContent = reflection.reflectionText;
+  text.className = "history-text";
+  appendHighlightedText(text, reflection.reflectionText, terms);
+
+  // Mood, energy and tags, when any were set
+  const details = [];
+  if (reflection.mood) details.push(MOOD_LEVELS[reflection.mood]);
+  if (reflection.energy) {
+    details.push(`Energy: ${ENERGY_LEVELS[reflection.energy]}`);
+  }
+  if (reflection.tags.length > 0) {
+    details.push(reflection.tags.map((tag) => `#${tag}`).join(" "));
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "history-actions";
+
+  const editButton = createActionButton("edit", "Edit");
+
+  const saveMessage = document.createElement("span");
+  saveMessage.className = "history-save-message";
+  saveMessage.setAttribute("aria-live", "polite");
+
+  actions.appendChild(editButton);
+  if (reflection.revisions.length > 0) {
+    actions.appendChild(
+      createActionButton(
+        "revisions",
+        formatRevisionsLabel(reflection.revisions.length),
+      ),
+    );
+  }
+  actions.appendChild(saveMessage);
 
   item.appendChild(date);
   item.appendChild(question);
   item.appendChild(text);
 
+  if (details.length > 0) {
+    const meta = document.createElement("div");
+    meta.className = "history-details";
+    meta.textContent = details.join(" · ");
+    item.appendChild(meta);
+  }
+
+  item.appendChild(actions);
+
   return item;
 }
 
+/**
+ * Switch a history item into edit mode
+ * @param {HTMLElement} item - History item element
+ * @param {string} value - The entry's stored text (the rendered one may be
+ *   older: today's textarea edits the same entry)
+ */
+function openHistoryEditor(item, value) {
+  const text = item.querySelector(".history-text");
+  const button = item.querySelector('button[data-action="edit"]');
+  if (!text || !button) return;
+
+  const editor = document.createElement("textarea");
+  editor.className = "history-editor";
+  editor.value = value;
+  editor.rows = 8;
+  editor.setAttribute("aria-label", "Edit reflection");
+
+  text.replaceWith(editor);
+  button.dataset.action = "done";
+  button.textContent = "Done";
+  editor.focus();
+}
+
+/**
+ * Switch a history item back to read-only mode
+ * @param {HTMLElement} item - History item element
+ */
+function closeHistoryEditor(item) {
+  const editor = item.querySelector(".history-editor");
+  const button = item.querySelector('button[data-action="done"]');
+  if (!editor || !button) return;
+
+  const text = document.createElement("p");
+  text.className = "history-text";
+  text.textContent = editor.value;
+
+  editor.replaceWith(text);
+  button.dataset.action = "edit";
+  button.textContent = "Edit";
+}
+
+/**
+ * Replace the text shown by a history item (not while its editor is open)
+ * @param {HTMLElement} item - History item element
+ * @param {string} text - Entry text
+ */
+function setHistoryItemText(item, text) {
+  const element = item.querySelector(".history-text");
+  if (element) {
+    element.textContent = text;
+  }
+}
+
+/**
+ * Label of the button that opens the revision browser
+ * @param {number} count - Earlier versions of the entry
+ * @returns {string} e.g. "Earlier versions (3)"
+ */
+function formatRevisionsLabel(count) {
+  return `Earlier versions (${count})`;
+}
+
+/**
+ * Show the earlier versions of a history item's entry, newest first
+ * Each one can be compared with the version after it, or restored
+ * @param {HTMLElement} item - History item element
+ * @param {Array} revisions - entry.revisions, oldest first
+ */
+function showRevisionList(item, revisions) {
+  let list = item.querySelector(".revision-list");
+  if (!list) {
+    list = document.createElement("ol");
+    list.className = "revision-list";
+    item.appendChild(list);
+  }
+
+  list.innerHTML = "";
+  for (let index = revisions.length - 1; index >= 0; index--) {
+    const revision = revisions[index];
+    const wordCount = countWords(revision.text);
+
+    const row = document.createElement("li");
+    row.className = "revision-item";
+    row.dataset.index = String(index);
+
+    const label = document.createElement("span");
+    label.textContent = `Version ${index + 1} · ${formatEditedTime(
+      revision.savedAt,
+    )} · ${formatNumber(wordCount)} ${wordCount === 1 ? "word" : "words"}`;
+
+    row.appendChild(label);
+    row.appendChild(createActionButton("compare", "Show changes"));
+    row.appendChild(createActionButton("restore", "Restore"));
+    list.appendChild(row);
+  }
+
+  const button = item.querySelector(
+    'button[data-action="revisions"], button[data-action="hide-revisions"]',
+  );
+  if (button) {
+    button.dataset.action = "hide-revisions";
+    button.dataset.count = String(revisions.length);
+    button.textContent = "Hide versions";
+  }
+}
+
+/**
+ * Close the revision browser of a history item
+ * @param {HTMLElement} item - History item element
+ */
+function hideRevisionList(item) {
+  const list = item.querySelector(".revision-list");
+  const button = item.querySelector('button[data-action="hide-revisions"]');
+  if (list) list.remove();
+  if (!button) return;
+
+  button.dataset.action = "revisions";
+  button.textContent = formatRevisionsLabel(Number(button.dataset.count));
+}
+
+/**
+ * Show what changed between a revision and the version after it
+ * @param {HTMLElement} row - Revision item element
+ * @param {object} comparison - { before, after, parts } where before and
+ *   after label the two versions and parts come from diffWords()
+ */
+function showRevisionDiff(row, comparison) {
+  const diff = document.createElement("div");
+  diff.className = "revision-diff";
+
+  [
+    [comparison.before, "removed", "del"],
+    [comparison.after, "added", "ins"],
+  ].forEach(([label, changeType, tag]) => {
+    const side = document.createElement("div");
+    side.className = "revision-diff-side diff-side";
+
+    const heading = document.createElement("span");
+    heading.textContent = label;
+
+    const text = document.createElement("p");
+    appendDiffParts(text, comparison.parts, changeType, tag);
+
+    side.appendChild(heading);
+    side.appendChild(text);
+    diff.appendChild(side);
+  });
+
+  row.appendChild(diff);
+
+  const button = row.querySelector('button[data-action="compare"]');
+  if (button) {
+    button.dataset.action = "hide-changes";
+    button.textContent = "Hide changes";
+  }
+}
+
+/**
+ * Hide the changes shown for a revision
+ * @param {HTMLElement} row - Revision item element
+ */
+function hideRevisionDiff(row) {
+  const diff = row.querySelector(".revision-diff");
+  const button = row.querySelector('button[data-action="hide-changes"]');
+  if (diff) diff.remove();
+  if (!button) return;
+
+  button.dataset.action = "compare";
+  button.textContent = "Show changes";
+}
+
 /**
  * Hide history panel
  */
@@ -158,26 +741,840 @@ function hideHistoryPanel() {
   }
 }
 
+/**
+ * Reflect saved settings in the settings section
+ * @param {object} settings - state.settings
+ */
+function renderSettings(settings) {
+  const rotationMode = document.getElementById("rotation-mode");
+  if (rotationMode) {
+    rotationMode.length = 0;
+    Object.entries(ROTATION_MODES).forEach(([value, label]) => {
+      rotationMode.appendChild(new Option(label, value));
+    });
+    rotationMode.value = settings.rotationMode;
+  }
+
+  const strategy = document.getElementById("question-strategy");
+  if (strategy) {
+    strategy.length = 0;
+    Object.entries(QUESTION_STRATEGIES).forEach(([value, { label }]) => {
+      strategy.appendChild(new Option(label, value));
+    });
+    strategy.value = settings.questionStrategy;
+  }
+
+  const countBackfills = document.getElementById("count-backfills");
+  if (countBackfills) {
+    countBackfills.checked = settings.countBackfillsInStreak;
+  }
+
+  const dayStart = document.getElementById("day-start-hour");
+  if (dayStart) {
+    dayStart.length = 0;
+    for (let hour = 0; hour <= 6; hour++) {
+      const label = hour === 0 ? "Midnight" : `${hour}:00 AM`;
+      dayStart.appendChild(new Option(label, hour));
+    }
+    dayStart.value = settings.dayStartHour;
+  }
+
+  const timeZone = document.getElementById("time-zone");
+  if (timeZone) {
+    const zones = Intl.supportedValuesOf
+      ? Intl.supportedValuesOf("timeZone")
+      : [];
+
+    timeZone.length = 0;
+    timeZone.appendChild(new Option("Device time zone", ""));
+    // Keep a saved zone selectable even if the list doesn't include it
+    [...new Set([...zones, settings.timeZone])]
+      .filter(Boolean)
+      .forEach((zone) => timeZone.appendChild(new Option(zone, zone)));
+    timeZone.value = settings.timeZone;
+  }
+
+  const restDays = document.getElementById("rest-days");
+  if (restDays) {
+    restDays.querySelectorAll("label").forEach((label) => label.remove());
+
+    ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].forEach((name, day) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = day;
+      checkbox.checked = settings.restDays.includes(day);
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(name));
+      restDays.appendChild(label);
+    });
+  }
+}
+
+/**
+ * Show the passphrase form over the app
+ * @param {object} options - { title, message, submitLabel, cancellable }
+ */
+function showLockScreen(options) {
+  const screen = document.getElementById("lock-screen");
+  if (!screen) return;
+
+  document.getElementById("lock-title").textContent = options.title;
+  document.getElementById("lock-message").textContent = options.message;
+  document.getElementById("lock-submit").textContent = options.submitLabel;
+  document.getElementById("lock-cancel").hidden = !options.cancellable;
+  document.getElementById("lock-passphrase").value = "";
+  showLockError("");
+
+  screen.removeAttribute("hidden");
+  document.getElementById("lock-passphrase").focus();
+}
+
+/**
+ * Show why a passphrase didn't work ("" clears the message)
+ * @param {string} message - Error message
+ */
+function showLockError(message) {
+  const error = document.getElementById("lock-error");
+  if (error) {
+    error.textContent = message;
+  }
+}
+
+/**
+ * Disable the passphrase form while a key is being derived (takes a moment)
+ * @param {boolean} busy - Whether the form is working
+ */
+function setLockScreenBusy(busy) {
+  const submit = document.getElementById("lock-submit");
+  if (submit) {
+    submit.disabled = busy;
+  }
+}
+
+/**
+ * Hide the passphrase form and forget what was typed
+ */
+function hideLockScreen() {
+  const screen = document.getElementById("lock-screen");
+  if (screen) {
+    screen.setAttribute("hidden", "");
+    document.getElementById("lock-passphrase").value = "";
+  }
+}
+
+/**
+ * Render the encryption settings
+ * @param {object} options - { supported, enabled, autoLockMinutes }
+ */
+function renderEncryptionSettings(options) {
+  const fieldset = document.getElementById("encryption-settings");
+  if (!fieldset) return;
+
+  const status = document.getElementById("encryption-status");
+  if (!options.supported) {
+    status.textContent =
+      "Encryption needs a secure connection (https or localhost).";
+  } else if (options.enabled) {
+    status.textContent =
+      "Your journal and backups are encrypted. Without the passphrase they can't be recovered.";
+  } else {
+    status.textContent =
+      "Your journal is stored as plain text. Choose a passphrase to encrypt it.";
+  }
+
+  fieldset.querySelectorAll("input, button").forEach((control) => {
+    control.disabled = !options.supported;
+  });
+  fieldset.querySelectorAll("input").forEach((input) => {
+    input.value = "";
+  });
+
+  document.getElementById("encryption-enable").textContent = options.enabled
+    ? "Change passphrase"
+    : "Encrypt journal";
+  ["auto-lock-field", "lock-now", "encryption-disable"].forEach((id) => {
+    document.getElementById(id).hidden = !options.enabled;
+  });
+
+  const autoLock = document.getElementById("auto-lock-minutes");
+  autoLock.length = 0;
+  [5, 15, 30, 60, 0].forEach((minutes) => {
+    const label = minutes === 0 ? "Never" : `${minutes} minutes idle`;
+    autoLock.appendChild(new Option(label, minutes));
+  });
+  autoLock.value = options.autoLockMinutes;
+}
+
+/**
+ * Show the import preview
+ * @param {Array} rows - Rows to list (may be the first part of the file)
+ * @param {object} counts - { total, new, duplicate, invalid }
+ */
+function showImportPanel(rows, counts) {
+  const panel = document.getElementById("import-panel");
+  const summary = document.getElementById("import-summary");
+  const confirmButton = document.getElementById("import-confirm");
+  const body = document.querySelector("#import-table tbody");
+  if (!panel || !body) return;
+
+  const plural = counts.new === 1 ? "reflection" : "reflections";
+  const skipped = [];
+  if (counts.duplicate > 0) skipped.push(`${counts.duplicate} already saved`);
+  if (counts.invalid > 0) skipped.push(`${counts.invalid} with problems`);
+
+  if (summary) {
+    summary.textContent = `${counts.new} new ${plural} to import`;
+    if (skipped.length > 0) {
+      summary.textContent += ` · skipping ${skipped.join(", ")}`;
+    }
+    if (rows.length < counts.total) {
+      summary.textContent += ` · showing the first ${rows.length} of ${counts.total} rows`;
+    }
+  }
+
+  if (confirmButton) {
+    confirmButton.disabled = counts.new === 0;
+    confirmButton.textContent = `Import ${counts.new} ${plural}`;
+  }
+
+  const statusLabels = { new: "New", duplicate: "Already saved" };
+
+  body.innerHTML = "";
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    tr.className = `import-row-${row.status}`;
+
+    const question = row.questionId ? getQuestionById(row.questionId) : null;
+    [
+      row.source,
+      row.date,
+      question ? question.text : row.prompt || FREE_WRITE_LABEL,
+      row.text,
+      row.error || statusLabels[row.status],
+    ].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      tr.appendChild(cell);
+    });
+
+    body.appendChild(tr);
+  });
+
+  panel.removeAttribute("hidden");
+}
+
+/**
+ * Hide the import preview
+ */
+function hideImportPanel() {
+  const panel = document.getElementById("import-panel");
+  if (panel) {
+    panel.setAttribute("hidden", "");
+  }
+}
+
+/**
+ * Show what merging a backup would change, with a choice per conflict
+ * @param {object} plan - From planMergeImport()
+ */
+function showMergePanel(plan) {
+  const panel = document.getElementById("merge-panel");
+  const intro = document.getElementById("merge-conflicts-intro");
+  const list = document.getElementById("merge-conflicts");
+  if (!panel || !list) return;
+
+  list.innerHTML = "";
+  plan.conflicts.forEach((conflict, index) => {
+    list.appendChild(
+      createConflictItem(conflict, `merge-conflict-${index}`, {
+        current: "This device",
+        incoming: "Backup",
+      }),
+    );
+  });
+
+  if (intro) {
+    intro.hidden = plan.conflicts.length === 0;
+  }
+
+  panel.removeAttribute("hidden");
+}
+
+/**
+ * Create one conflict: both versions side by side, the differences marked
+ * @param {object} conflict - { date, current, incoming, newer }
+ * @param {string} name - Name of its radio buttons, ending in its index
+ * @param {object} labels - { current, incoming } headings of the two sides
+ * @returns {HTMLElement}
+ */
+function createConflictItem(conflict, name, labels) {
+  const item = document.createElement("article");
+  item.className = "merge-conflict";
+
+  const question = getQuestionById(conflict.current.questionId);
+  const title = document.createElement("h3");
+  title.textContent = `${formatDateForDisplay(conflict.date)} · ${
+    question ? question.text : conflict.current.prompt || FREE_WRITE_LABEL
+  }`;
+  item.appendChild(title);
+
+  const versions = document.createElement("div");
+  versions.className = "merge-versions";
+
+  const parts = diffWords(conflict.current.text, conflict.incoming.text);
+  [
+    ["current", conflict.current, "removed", "del"],
+    ["incoming", conflict.incoming, "added", "ins"],
+  ].forEach(([value, entry, changeType, tag]) => {
+    const side = document.createElement("label");
+    side.className = "merge-side diff-side";
+
+    const radio = document.createElement("input");
+    radio.type = "radio";
+    radio.name = name;
+    radio.value = value;
+    radio.checked = conflict.newer === value;
+
+    const heading = document.createElement("span");
+    heading.appendChild(radio);
+    heading.append(` ${labels[value]} · ${formatEditedTime(entry.lastEdited)}`);
+
+    const text = document.createElement("p");
+    appendDiffParts(text, parts, changeType, tag);
+
+    side.appendChild(heading);
+    side.appendChild(text);
+    versions.appendChild(side);
+  });
+
+  item.appendChild(versions);
+  return item;
+}
+
+/**
+ * Read the version picked for each conflict of a list
+ * @param {string} listId - Element holding the conflict items
+ * @returns {object} { [conflict index]: "current" | "incoming" }
+ */
+function getConflictChoices(listId) {
+  const choices = {};
+  document
+    .querySelectorAll(`#${listId} input[type="radio"]:checked`)
+    .forEach((radio) => {
+      choices[radio.name.slice(radio.name.lastIndexOf("-") + 1)] = radio.value;
+    });
+  return choices;
+}
+
+/**
+ * Show the totals of a merge
+ * @param {object} counts - { added, updated, skipped, questions }
+ */
+function renderMergeSummary(counts) {
+  const summary = document.getElementById("merge-summary");
+  const confirmButton = document.getElementById("merge-confirm");
+
+  const changes = [
+    `${counts.added} new ${counts.added === 1 ? "reflection" : "reflections"}`,
+    `${counts.updated} updated`,
+  ];
+  if (counts.questions > 0) {
+    const plural = counts.questions === 1 ? "question" : "questions";
+    changes.push(`${counts.questions} custom ${plural}`);
+  }
+  if (counts.skipped > 0) {
+    changes.push(`${counts.skipped} skipped`);
+  }
+
+  if (summary) {
+    summary.textContent = changes.join(" · ");
+  }
+
+  if (confirmButton) {
+    confirmButton.disabled =
+      counts.added + counts.updated + counts.questions === 0;
+  }
+}
+
+/**
+ * Hide the merge preview
+ */
+function hideMergePanel() {
+  const panel = document.getElementById("merge-panel");
+  if (panel) {
+    panel.setAttribute("hidden", "");
+  }
+}
+
+/**
+ * Ask which version to keep of entries changed in this tab and another one
+ * @param {Array} conflicts - { date, current, incoming, newer }
+ */
+function showTabConflictPanel(conflicts) {
+  const panel = document.getElementById("tab-conflict-panel");
+  const list = document.getElementById("tab-conflicts");
+  if (!panel || !list) return;
+
+  list.innerHTML = "";
+  conflicts.forEach((conflict, index) => {
+    list.appendChild(
+      createConflictItem(conflict, `tab-conflict-${index}`, {
+        current: "This tab",
+        incoming: "Other tab",
+      }),
+    );
+  });
+
+  panel.removeAttribute("hidden");
+}
+
+/**
+ * Hide the conflict prompt
+ */
+function hideTabConflictPanel() {
+  const panel = document.getElementById("tab-conflict-panel");
+  if (panel) {
+    panel.setAttribute("hidden", "");
+  }
+}
+
+/**
+ * Describe when an entry was last edited
+ * @param {string|null} timestamp - ISO timestamp
+ * @returns {string} e.g. "edited Yesterday, 9:14 AM"
+ */
+function formatEditedTime(timestamp) {
+  if (!timestamp) return "never edited";
+
+  const date = getDateKey(new Date(timestamp));
+  return `edited ${formatDateForDisplay(date)}, ${formatTimeOfDay(timestamp)}`;
+}
+
+/**
+ * Fill the year picker of the printable book
+ * @param {Array} years - e.g. ["2026", "2025"], newest first
+ */
+function renderBookYears(years) {
+  const select = document.getElementById("book-year");
+  if (!select) return;
+
+  select.length = 0;
+  years.forEach((year) => select.appendChild(new Option(year, year)));
+  select.appendChild(new Option("All years", ""));
+}
+
+/**
+ * Show or hide the missed days button
+ * @param {number} count - Days that can still be caught up on
+ */
+function updateMissedCount(count) {
+  const button = document.getElementById("missed-toggle");
+  const countEl = document.getElementById("missed-count");
+  if (!button || !countEl) return;
+
+  countEl.textContent = count;
+  if (count > 0) {
+    button.removeAttribute("hidden");
+  } else {
+    button.setAttribute("hidden", "");
+  }
+}
+
+/**
+ * Show the missed days panel
+ * @param {Array} missedDays - { date, entryId, questionText } objects
+ */
+function showMissedPanel(missedDays) {
+  const panel = document.getElementById("missed-panel");
+  const list = document.getElementById("missed-list");
+  if (!panel || !list) return;
+
+  list.innerHTML = "";
+
+  if (missedDays.length === 0) {
+    list.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon">✅</div>
+        <h3 class="empty-state-title">All caught up</h3>
+      </div>
+    `;
+  }
+
+  missedDays.forEach((day) => {
+    const item = document.createElement("article");
+    item.className = "history-item missed-item";
+    item.dataset.date = day.date;
+    item.dataset.entryId = day.entryId;
+
+    const date = document.createElement("time");
+    date.textContent = formatDateForDisplay(day.date);
+    date.setAttribute("datetime", day.date);
+
+    const question = document.createElement("h3");
+    question.textContent = day.questionText;
+
+    const editor = document.createElement("textarea");
+    editor.className = "history-editor missed-editor";
+    editor.rows = 5;
+    editor.placeholder = "Write a backfilled reflection...";
+    editor.setAttribute("aria-label", `Reflection for ${day.date}`);
+
+    const actions = document.createElement("div");
+    actions.className = "history-actions";
+    const saveMessage = document.createElement("span");
+    saveMessage.className = "history-save-message";
+    saveMessage.setAttribute("aria-live", "polite");
+    actions.appendChild(saveMessage);
+
+    item.appendChild(date);
+    item.appendChild(question);
+    item.appendChild(editor);
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+
+  panel.removeAttribute("hidden");
+}
+
+/**
+ * Hide the missed days panel
+ */
+function hideMissedPanel() {
+  const panel = document.getElementById("missed-panel");
+  if (panel) {
+    panel.setAttribute("hidden", "");
+  }
+}
+
+/**
+ * Show the question manager
+ * @param {Array} questions - Question view objects
+ */
+function showQuestionsPanel(questions) {
+  const panel = document.getElementById("questions-panel");
+  if (!panel) return;
+
+  renderQuestionList(questions);
+  panel.removeAttribute("hidden");
+}
+
+/**
+ * Hide the question manager
+ */
+function hideQuestionsPanel() {
+  const panel = document.getElementById("questions-panel");
+  if (panel) {
+    panel.setAttribute("hidden", "");
+  }
+}
+
+/**
+ * Render the question manager list
+ * Active questions first, retired ones at the bottom
+ * @param {Array} questions - Question view objects
+ */
+function renderQuestionList(questions) {
+  const list = document.getElementById("question-list");
+  if (!list) return;
+
+  list.innerHTML = "";
+
+  const sorted = questions
+    .slice()
+    .sort((a, b) => Number(a.retired) - Number(b.retired) || a.id - b.id);
+
+  sorted.forEach((question) => {
+    list.appendChild(createQuestionItem(question));
+  });
+}
+
+/**
+ * Create a question manager item
+ * @param {object} question - Question view object
+ * @returns {HTMLElement}
+ */
+function createQuestionItem(question) {
+  const item = document.createElement("li");
+  item.className = "question-item";
+  item.dataset.questionId = question.id;
+  if (question.retired) {
+    item.classList.add("question-item-retired");
+  }
+
+  const text = document.createElement("p");
+  text.className = "question-item-text";
+  text.textContent = question.text;
+
+  const meta = document.createElement("span");
+  meta.className = "question-item-meta";
+  const kind = question.custom ? "Your question" : "Built-in";
+  const category = QUESTION_CATEGORIES[question.category];
+  const status = question.retired ? " · Retired" : "";
+  const plural = question.answerCount === 1 ? "answer" : "answers";
+  meta.textContent = `${kind} · ${category}${status} · ${question.answerCount} ${plural}`;
+
+  if (question.tags.length > 0) {
+    meta.textContent += ` · ${question.tags.map((tag) => `#${tag}`).join(" ")}`;
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "question-item-actions";
+
+  // Built-in questions can be retired but not reworded
+  if (question.custom) {
+    actions.appendChild(createActionButton("edit", "Edit"));
+  }
+  actions.appendChild(
+    question.retired
+      ? createActionButton("restore", "Restore")
+      : createActionButton("retire", "Retire"),
+  );
+  if (question.answerCount > 0) {
+    actions.appendChild(createActionButton("answers", "View answers"));
+  }
+
+  item.appendChild(text);
+  item.appendChild(meta);
+  item.appendChild(actions);
+
+  return item;
+}
+
+/**
+ * Show every answer to a question
+ * The oldest and latest answers are picked for comparison by default
+ * @param {Array} questions - { id, text } for the question picker
+ * @param {number} questionId - Question shown
+ * @param {Array} answers - Answers with `words`, oldest first
+ */
+function showInsightsPanel(questions, questionId, answers) {
+  const panel = document.getElementById("insights-panel");
+  const select = document.getElementById("insights-question");
+  const list = document.getElementById("insights-list");
+  if (!panel || !select || !list) return;
+
+  select.innerHTML = "";
+  questions.forEach((question) => {
+    const option = document.createElement("option");
+    option.value = String(question.id);
+    option.textContent = question.text;
+    select.appendChild(option);
+  });
+  select.value = String(questionId);
+
+  list.innerHTML = "";
+  answers.forEach((answer, index) => {
+    list.appendChild(
+      createInsightsItem(answer, {
+        before: index === 0,
+        after: index === answers.length - 1,
+        compare: answers.length > 1,
+      }),
+    );
+  });
+
+  panel.removeAttribute("hidden");
+}
+
+/**
+ * Hide the insights view
+ */
+function hideInsightsPanel() {
+  const panel = document.getElementById("insights-panel");
+  if (panel) {
+    panel.setAttribute("hidden", "");
+  }
+}
+
+/**
+ * Create one answer in the insights list
+ * @param {object} answer - Answer with `words`
+ * @param {object} options - { before, after, compare } which comparison
+ *   slots it fills, and whether comparing is possible at all
+ * @returns {HTMLElement}
+ */
+function createInsightsItem(answer, options) {
+  const item = document.createElement("article");
+  item.className = "history-item insights-item";
+  if (answer.backfilled) {
+    item.classList.add("history-item-backfilled");
+  }
+
+  const date = document.createElement("time");
+  date.setAttribute("datetime", answer.date);
+  const plural = answer.words === 1 ? "word" : "words";
+  date.textContent = `${formatDateForDisplay(answer.date)} · ${formatNumber(answer.words)} ${plural}`;
+
+  const text = document.createElement("p");
+  text.textContent = answer.reflectionText;
+
+  item.appendChild(date);
+  item.appendChild(text);
+
+  if (options.compare) {
+    const picker = document.createElement("div");
+    picker.className = "insights-picker";
+
+    [
+      ["insights-before", "Before", options.before],
+      ["insights-after", "After", options.after],
+    ].forEach(([name, label, checked]) => {
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = name;
+      radio.value = answer.entryId;
+      radio.checked = checked;
+
+      const wrapper = document.createElement("label");
+      wrapper.appendChild(radio);
+      wrapper.append(` ${label}`);
+      picker.appendChild(wrapper);
+    });
+
+    item.appendChild(picker);
+  }
+
+  return item;
+}
+
+/**
+ * Render two answers side by side, marking the words that changed
+ * @param {object|null} comparison - { before, after, parts } where parts
+ *   come from diffWords(); null hides the comparison
+ */
+function renderAnswerDiff(comparison) {
+  const container = document.getElementById("insights-compare");
+  const diff = document.getElementById("insights-diff");
+  if (!container || !diff) return;
+
+  diff.innerHTML = "";
+
+  if (!comparison) {
+    container.setAttribute("hidden", "");
+    return;
+  }
+
+  // Each side shows the shared words plus its own changes
+  [
+    [comparison.before, "removed", "del"],
+    [comparison.after, "added", "ins"],
+  ].forEach(([answer, changeType, tag]) => {
+    const side = document.createElement("div");
+    side.className = "insights-diff-side diff-side";
+
+    const date = document.createElement("time");
+    date.setAttribute("datetime", answer.date);
+    date.textContent = formatDateForDisplay(answer.date);
+
+    const text = document.createElement("p");
+    appendDiffParts(text, comparison.parts, changeType, tag);
+
+    side.appendChild(date);
+    side.appendChild(text);
+    diff.appendChild(side);
+  });
+
+  container.removeAttribute("hidden");
+}
+
+/**
+ * Switch a question manager item into edit mode
+ * @param {HTMLElement} item - Question item element
+ */
+function openQuestionEditor(item) {
+  const text = item.querySelector(".question-item-text");
+  const meta = item.querySelector(".question-item-meta");
+  const actions = item.querySelector(".question-item-actions");
+  if (!text || !meta || !actions) return;
+
+  const question = getQuestionById(Number(item.dataset.questionId));
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "question-editor";
+  input.value = text.textContent;
+  input.maxLength = 300;
+  input.setAttribute("aria-label", "Edit question");
+
+  const details = document.createElement("div");
+  details.className = "question-add-details";
+
+  const category = document.createElement("select");
+  category.className = "question-editor-category";
+  category.setAttribute("aria-label", "Category");
+  Object.entries(QUESTION_CATEGORIES).forEach(([value, label]) => {
+    category.appendChild(new Option(label, value));
+  });
+  category.value = getQuestionCategory(question);
+
+  const tags = document.createElement("input");
+  tags.type = "text";
+  tags.className = "question-editor-tags";
+  tags.placeholder = "Tags, comma separated";
+  tags.value = question && question.tags ? question.tags.join(", ") : "";
+  tags.setAttribute("aria-label", "Tags");
+
+  details.appendChild(category);
+  details.appendChild(tags);
+
+  text.replaceWith(input);
+  meta.replaceWith(details);
+  actions.innerHTML = "";
+  actions.appendChild(createActionButton("save", "Save"));
+  actions.appendChild(createActionButton("cancel", "Cancel"));
+  input.focus();
+}
+
+/**
+ * Create a small button handled by event delegation
+ * @param {string} action - Value for data-action
+ * @param {string} label - Button text
+ * @returns {HTMLElement}
+ */
+function createActionButton(action, label) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.dataset.action = action;
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * Write one side of a word diff: the shared words plus that side's changes
+ * @param {HTMLElement} element - Where to append the text
+ * @param {Array} parts - From diffWords()
+ * @param {string} changeType - "removed" (old side) or "added" (new side)
+ * @param {string} tag - Element the changes are wrapped in ("del" or "ins")
+ */
+function appendDiffParts(element, parts, changeType, tag) {
+  parts.forEach((part) => {
+    if (part.type === "same") {
+      element.append(part.text);
+    } else if (part.type === changeType) {
+      const change = document.createElement(tag);
+      change.textContent = part.text;
+      element.appendChild(change);
+    }
+  });
+}
+
 /**
  * Format date for human-readable display
  * @param {string} dateString - YYYY-MM-DD
  * @returns {string} Formatted date
  */
 function formatDateForDisplay(dateString) {
-  const date = new Date(dateString + "T00:00:00");
-  const today = new Date(getTodayDate() + "T00:00:00");
+  const today = getTodayDate();
 
   // Check if it's today
-  if (dateString === getTodayDate()) {
+  if (dateString === today) {
     return "Today";
   }
 
   // Check if it's yesterday
-  const yesterday = new Date(today);
-  yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayString = yesterday.toISOString().split("T")[0];
-
-  if (dateString === yesterdayString) {
+  if (dateString === addDaysToDate(today, -1)) {
     return "Yesterday";
   }
 
@@ -188,7 +1585,7 @@ function formatDateForDisplay(dateString) {
     month: "long",
     day: "numeric",
   };
-  return date.toLocaleDateString("en-US", options);
+  return formatDateKey(dateString, options);
 }
 
 // Show notification message
@@ -0,0 +1,247 @@
+// Device timezone for the whole file. US clocks change on 2026-03-08
+// (2am -> 3am) and 2026-11-01 (2am -> 1am).
+process.env.TZ = "America/New_York";
+
+const assert = require("node:assert/strict");
+const { describe, it, beforeEach } = require("node:test");
+const { loadScripts } = require("./load-scripts");
+
+const app = loadScripts(["dates", "data", "state", "ui"]);
+
+// A state with a reflection on each date
+function stateWithReflections(dates) {
+  const state = app.createDefaultState();
+  dates.forEach((date) => {
+    state.reflections[date] = [
+      {
+        id: `entry-${date}`,
+        questionId: 1,
+        text: "Something worth writing down",
+        createdAt: `${date}T20:00:00.000Z`,
+        lastEdited: `${date}T20:00:00.000Z`,
+      },
+    ];
+  });
+  return state;
+}
+
+beforeEach(() => {
+  app.configureDates({ dayStartHour: 0, timeZone: "" });
+});
+
+describe("getDateKey", () => {
+  it("uses the device timezone by default", () => {
+    // 11:30pm in New York is already the next day in UTC
+    assert.equal(
+      app.getDateKey(new Date("2026-01-11T04:30:00Z")),
+      "2026-01-10",
+    );
+  });
+
+  it("counts the hours before the day start as the previous day", () => {
+    app.configureDates({ dayStartHour: 4, timeZone: "" });
+
+    assert.equal(
+      app.getDateKey(new Date("2026-01-11T06:30:00Z")), // 1:30am
+      "2026-01-10",
+    );
+    assert.equal(
+      app.getDateKey(new Date("2026-01-11T09:00:00Z")), // 4:00am
+      "2026-01-11",
+    );
+  });
+
+  it("keeps the day start through the spring-forward night", () => {
+    app.configureDates({ dayStartHour: 4, timeZone: "" });
+
+    assert.equal(
+      app.getDateKey(new Date("2026-03-08T06:30:00Z")), // 1:30am EST
+      "2026-03-07",
+    );
+    assert.equal(
+      app.getDateKey(new Date("2026-03-08T07:30:00Z")), // 3:30am EDT
+      "2026-03-07",
+    );
+    assert.equal(
+      app.getDateKey(new Date("2026-03-08T08:00:00Z")), // 4:00am EDT
+      "2026-03-08",
+    );
+  });
+
+  it("keeps the day start through the fall-back night", () => {
+    app.configureDates({ dayStartHour: 4, timeZone: "" });
+
+    // 1:30am happens twice
+    assert.equal(
+      app.getDateKey(new Date("2026-11-01T05:30:00Z")), // 1:30am EDT
+      "2026-10-31",
+    );
+    assert.equal(
+      app.getDateKey(new Date("2026-11-01T06:30:00Z")), // 1:30am EST
+      "2026-10-31",
+    );
+    assert.equal(
+      app.getDateKey(new Date("2026-11-01T09:00:00Z")), // 4:00am EST
+      "2026-11-01",
+    );
+  });
+
+  it("follows the home timezone instead of the device", () => {
+    app.configureDates({ dayStartHour: 0, timeZone: "Asia/Tokyo" });
+
+    // 1am on the 11th in Tokyo, still the 10th in New York
+    const instant = new Date("2026-01-10T16:00:00Z");
+    assert.equal(app.getDateKey(instant), "2026-01-11");
+
+    app.configureDates({ dayStartHour: 4, timeZone: "Asia/Tokyo" });
+    assert.equal(app.getDateKey(instant), "2026-01-10");
+  });
+
+  it("takes an explicit timezone over the configured one", () => {
+    app.configureDates({ dayStartHour: 0, timeZone: "Asia/Tokyo" });
+
+    assert.equal(
+      app.getDateKey(new Date("2026-01-10T16:00:00Z"), "Europe/Berlin"),
+      "2026-01-10",
+    );
+  });
+
+  it("falls back to the device timezone for an unknown one", () => {
+    app.configureDates({ dayStartHour: 0, timeZone: "Mars/Olympus_Mons" });
+
+    assert.equal(
+      app.getDateKey(new Date("2026-01-11T04:30:00Z")),
+      "2026-01-10",
+    );
+  });
+});
+
+describe("addDaysToDate", () => {
+  it("moves one day at a time across spring-forward", () => {
+    assert.equal(app.addDaysToDate("2026-03-07", 1), "2026-03-08");
+    assert.equal(app.addDaysToDate("2026-03-08", 1), "2026-03-09");
+    assert.equal(app.addDaysToDate("2026-03-09", -2), "2026-03-07");
+  });
+
+  it("moves one day at a time across fall-back", () => {
+    assert.equal(app.addDaysToDate("2026-10-31", 1), "2026-11-01");
+    assert.equal(app.addDaysToDate("2026-11-01", 1), "2026-11-02");
+    assert.equal(app.addDaysToDate("2026-11-02", -2), "2026-10-31");
+  });
+
+  it("crosses months, leap days and years", () => {
+    assert.equal(app.addDaysToDate("2028-02-28", 1), "2028-02-29");
+    assert.equal(app.addDaysToDate("2026-02-28", 1), "2026-03-01");
+    assert.equal(app.addDaysToDate("2026-12-31", 1), "2027-01-01");
+    assert.equal(app.addDaysToDate("2026-01-10", 0), "2026-01-10");
+  });
+});
+
+describe("daysBetweenDates", () => {
+  it("counts the short spring-forward day as a whole day", () => {
+    assert.equal(app.daysBetweenDates("2026-03-07", "2026-03-09"), 2);
+    assert.equal(app.daysBetweenDates("2026-03-08", "2026-03-09"), 1);
+  });
+
+  it("counts the long fall-back day as a whole day", () => {
+    assert.equal(app.daysBetweenDates("2026-10-31", "2026-11-02"), 2);
+    assert.equal(app.daysBetweenDates("2026-11-01", "2026-11-02"), 1);
+  });
+
+  it("is negative backwards and counts a whole year", () => {
+    assert.equal(app.daysBetweenDates("2026-11-02", "2026-10-31"), -2);
+    assert.equal(app.daysBetweenDates("2026-01-01", "2027-01-01"), 365);
+  });
+});
+
+describe("isValidDateKey", () => {
+  it("accepts real dates", () => {
+    assert.equal(app.isValidDateKey("2026-01-10"), true);
+    assert.equal(app.isValidDateKey("2028-02-29"), true);
+  });
+
+  it("rejects impossible dates", () => {
+    assert.equal(app.isValidDateKey("2026-02-29"), false);
+    assert.equal(app.isValidDateKey("2026-02-30"), false);
+    assert.equal(app.isValidDateKey("2026-13-01"), false);
+    assert.equal(app.isValidDateKey("2026-00-10"), false);
+  });
+
+  it("rejects other formats", () => {
+    assert.equal(app.isValidDateKey("2026-1-10"), false);
+    assert.equal(app.isValidDateKey("2026-01-10T00:00:00Z"), false);
+    assert.equal(app.isValidDateKey("January 10, 2026"), false);
+    assert.equal(app.isValidDateKey(""), false);
+    assert.equal(app.isValidDateKey(20260110), false);
+    assert.equal(app.isValidDateKey(null), false);
+  });
+});
+
+describe("around midnight", () => {
+  const written = ["2026-01-07", "2026-01-08", "2026-01-09"];
+
+  it("keeps the streak until the day is over", () => {
+    app.setNow("2026-01-11T04:59:00Z"); // 11:59pm on the 10th
+
+    assert.equal(app.calculateStreak(stateWithReflections(written)).current, 3);
+    assert.equal(app.formatDateForDisplay("2026-01-10"), "Today");
+    assert.equal(app.formatDateForDisplay("2026-01-09"), "Yesterday");
+  });
+
+  it("breaks the streak and moves Yesterday at midnight", () => {
+    app.setNow("2026-01-11T05:01:00Z"); // 12:01am on the 11th
+
+    assert.equal(app.calculateStreak(stateWithReflections(written)).current, 0);
+    assert.equal(app.formatDateForDisplay("2026-01-11"), "Today");
+    assert.equal(app.formatDateForDisplay("2026-01-10"), "Yesterday");
+    assert.equal(
+      app.formatDateForDisplay("2026-01-09"),
+      "Friday, January 9, 2026",
+    );
+  });
+
+  it("waits for the day start instead of midnight", () => {
+    app.configureDates({ dayStartHour: 4, timeZone: "" });
+    app.setNow("2026-01-11T06:00:00Z"); // 1:00am on the 11th
+
+    assert.equal(app.calculateStreak(stateWithReflections(written)).current, 3);
+    assert.equal(app.formatDateForDisplay("2026-01-10"), "Today");
+    assert.equal(app.formatDateForDisplay("2026-01-09"), "Yesterday");
+  });
+
+  it("uses midnight in the home timezone", () => {
+    app.configureDates({ dayStartHour: 0, timeZone: "Asia/Tokyo" });
+    app.setNow("2026-01-10T15:30:00Z"); // 12:30am on the 11th in Tokyo
+
+    assert.equal(app.calculateStreak(stateWithReflections(written)).current, 0);
+    assert.equal(app.formatDateForDisplay("2026-01-10"), "Yesterday");
+  });
+
+  it("labels Yesterday right after the short spring-forward day", () => {
+    app.setNow("2026-03-09T04:30:00Z"); // 12:30am on the 9th, 23 hours in
+
+    assert.equal(app.formatDateForDisplay("2026-03-08"), "Yesterday");
+    assert.equal(
+      app.formatDateForDisplay("2026-03-07"),
+      "Saturday, March 7, 2026",
+    );
+  });
+
+  it("counts streaks across both clock changes", () => {
+    app.setNow("2026-03-09T16:00:00Z");
+    assert.equal(
+      app.calculateStreak(
+        stateWithReflections(["2026-03-07", "2026-03-08", "2026-03-09"]),
+      ).current,
+      3,
+    );
+
+    app.setNow("2026-11-02T17:00:00Z");
+    assert.equal(
+      app.calculateStreak(
+        stateWithReflections(["2026-10-31", "2026-11-01", "2026-11-02"]),
+      ).current,
+      3,
+    );
+  });
+});
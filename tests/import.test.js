@@ -0,0 +1,34 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { loadScripts } = require("./load-scripts");
+
+const app = loadScripts(["dates", "data", "state", "import"]);
+
+describe("readTextFileEntry", () => {
+  it("takes the date from the file name", () => {
+    const row = app.readTextFileEntry("notes/20260110-evening.txt", "hello");
+
+    assert.equal(row.date, "2026-01-10");
+    assert.equal(row.text, "hello");
+  });
+
+  it("ignores dates in folder names", () => {
+    const row = app.readTextFileEntry(
+      "journal-2025-06-01/notes.md",
+      "# 2026-01-12\nhi",
+    );
+
+    assert.equal(row.date, "2026-01-12");
+    assert.equal(row.text, "hi");
+  });
+
+  it("falls back to the heading when the file name date is impossible", () => {
+    const row = app.readTextFileEntry(
+      "2024-13-40.md",
+      "# Saturday, January 10, 2026\n\nbody",
+    );
+
+    assert.equal(row.date, "2026-01-10");
+    assert.equal(row.text, "body");
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Test helper: run the app's browser scripts in a fresh context
+ * The scripts share globals the way they do in the page. "Now" is a fake
+ * clock, so tests can stand at any moment (e.g. a minute before midnight).
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const JS_DIR = path.join(__dirname, "..", "js");
+
+/**
+ * Load scripts (in page order) into a new context
+ * @param {Array} names - File names in js/, without ".js"
+ * @param {object} [globals] - Extra globals, e.g. window and localStorage
+ * @returns {object} The context: every script's functions, plus
+ *   setNow(instant) to move the clock
+ */
+function loadScripts(names, globals = {}) {
+  let now = Date.now();
+
+  // new Date() and Date.now() read the fake clock; everything else is Date
+  class FakeDate extends Date {
+    constructor(...args) {
+      if (args.length === 0) {
+        super(now);
+      } else {
+        super(...args);
+      }
+    }
+
+    static now() {
+      return now;
+    }
+  }
+
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    ...globals,
+    Date: FakeDate,
+  });
+  names.forEach((name) => {
+    const file = path.join(JS_DIR, `${name}.js`);
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+  });
+
+  context.setNow = (instant) => {
+    now = new Date(instant).getTime();
+  };
+  return context;
+}
+
+/**
+ * A stand-in for localStorage: keys are own properties, as in browsers
+ * @param {object} [items] - Initial key -> value
+ * @returns {object} Storage
+ */
+function createMemoryStorage(items = {}) {
+  const storage = Object.create({
+    getItem(key) {
+      return Object.hasOwn(this, key) ? this[key] : null;
+    },
+    setItem(key, value) {
+      this[key] = String(value);
+    },
+    removeItem(key) {
+      delete this[key];
+    },
+  });
+  return Object.assign(storage, items);
+}
+
+module.exports = { loadScripts, createMemoryStorage };
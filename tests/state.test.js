@@ -0,0 +1,244 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const vm = require("node:vm");
+const { loadScripts, createMemoryStorage } = require("./load-scripts");
+
+const SCRIPTS = ["dates", "data", "crypto", "storage", "state"];
+
+// Failed saves are logged; expected ones needn't show up in the test output
+const quietConsole = { ...console, error() {}, warn() {} };
+
+// Objects from the scripts' context, as plain objects of this one
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Start the app's storage on localStorage holding items
+async function openJournal(storage) {
+  const app = loadScripts(SCRIPTS, {
+    window: {},
+    localStorage: storage,
+    console: quietConsole,
+  });
+  await app.initStorage();
+  return app;
+}
+
+describe("migrateState", () => {
+  it("upgrades an unversioned blob with one reflection per date", () => {
+    const app = loadScripts(SCRIPTS);
+    const state = app.migrateState({
+      currentQuestionId: 3,
+      reflections: {
+        "2026-01-10": {
+          questionId: 3,
+          text: "hello world",
+          lastEdited: "2026-01-10T10:00:00.000Z",
+        },
+      },
+    });
+
+    assert.equal(state.schemaVersion, vm.runInContext("SCHEMA_VERSION", app));
+    assert.deepEqual(plain(state.reflections["2026-01-10"]), [
+      {
+        mood: null,
+        energy: null,
+        tags: [],
+        id: "2026-01-10-1",
+        questionId: 3,
+        text: "hello world",
+        createdAt: "2026-01-10T10:00:00.000Z",
+        lastEdited: "2026-01-10T10:00:00.000Z",
+        revisions: [],
+      },
+    ]);
+    assert.equal(state.streak.longest, 0);
+    assert.deepEqual(plain(state.streak.freezesUsed), []);
+    assert.equal(state.settings.dayStartHour, 0);
+    assert.equal(state.questionLog["2026-01-10"], 3);
+  });
+
+  it("keeps what a v1 blob already has", () => {
+    const app = loadScripts(SCRIPTS);
+    const state = app.migrateState({
+      schemaVersion: 1,
+      currentQuestionId: 2,
+      lastQuestionDate: "2026-01-09",
+      reflections: {
+        "2026-01-09": { questionId: 2, text: "yesterday", lastEdited: null },
+      },
+      streak: { current: 4, longest: 9 },
+    });
+
+    assert.equal(state.schemaVersion, vm.runInContext("SCHEMA_VERSION", app));
+    assert.equal(state.reflections["2026-01-09"][0].text, "yesterday");
+    assert.equal(state.streak.longest, 9);
+    assert.equal(state.questionLog["2026-01-09"], 2);
+  });
+
+  it("rejects data from a newer version", () => {
+    const app = loadScripts(SCRIPTS);
+
+    assert.throws(
+      () => app.migrateState({ schemaVersion: 99, reflections: {} }),
+      { name: "NewerSchemaError" },
+    );
+  });
+
+  it("rejects data without reflections", () => {
+    const app = loadScripts(SCRIPTS);
+
+    assert.throws(() => app.migrateState({ streak: {} }), {
+      message: "Invalid data structure",
+    });
+  });
+});
+
+describe("loadState", () => {
+  it("migrates the legacy value and moves it into records", async () => {
+    const storage = createMemoryStorage({
+      reflectionApp: JSON.stringify({
+        reflections: {
+          "2026-01-10": { questionId: 3, text: "hello", lastEdited: null },
+        },
+      }),
+    });
+    const app = await openJournal(storage);
+
+    const state = app.loadState();
+    assert.equal(state.reflections["2026-01-10"][0].text, "hello");
+
+    app.saveState(state);
+    assert.equal((await app.whenSaved()).ok, true);
+    assert.equal(storage.getItem("reflectionApp"), null);
+    assert.ok(storage.getItem("reflectionApp:entry:2026-01-10/2026-01-10-1"));
+  });
+
+  it("resumes a move into records that stopped halfway", async () => {
+    // Big enough to be moved in several batches
+    const dates = Array.from({ length: 40 }, (_, i) =>
+      new Date(Date.UTC(2026, 0, 1 + i)).toISOString().slice(0, 10),
+    );
+    const reflections = {};
+    dates.forEach((date) => {
+      reflections[date] = {
+        questionId: 1,
+        text: `${date} ${"words ".repeat(700)}`,
+        lastEdited: null,
+      };
+    });
+    const storage = createMemoryStorage({
+      reflectionApp: JSON.stringify({ reflections }),
+    });
+
+    // The disk fills up in the middle of the second batch
+    const failAt = `reflectionApp:entry:${dates[25]}/${dates[25]}-1`;
+    Object.defineProperty(storage, "setItem", {
+      configurable: true,
+      value(key, value) {
+        if (key === failAt) {
+          const error = new Error("full");
+          error.name = "QuotaExceededError";
+          throw error;
+        }
+        Object.getPrototypeOf(this).setItem.call(this, key, value);
+      },
+    });
+
+    const first = await openJournal(storage);
+    first.saveState(first.loadState());
+    assert.equal((await first.whenSaved()).ok, false);
+    assert.ok(storage.getItem(`reflectionApp:entry:${dates[0]}/${dates[0]}-1`));
+    const left = JSON.parse(storage.getItem("reflectionApp")).reflections;
+    assert.equal(left[dates[0]], undefined);
+    assert.ok(left[dates[25]]);
+
+    // Reload with space again
+    delete storage.setItem;
+    const second = await openJournal(storage);
+    const state = second.loadState();
+    assert.deepEqual(Object.keys(state.reflections).sort(), dates);
+    dates.forEach((date) => {
+      assert.equal(state.reflections[date].length, 1);
+      assert.equal(state.reflections[date][0].text, reflections[date].text);
+    });
+
+    second.saveState(state);
+    assert.equal((await second.whenSaved()).ok, true);
+    assert.equal(storage.getItem("reflectionApp"), null);
+    const entryKeys = Object.keys(storage).filter((key) =>
+      key.startsWith("reflectionApp:entry:"),
+    );
+    assert.deepEqual(
+      entryKeys.sort(),
+      dates.map((date) => `reflectionApp:entry:${date}/${date}-1`),
+    );
+  });
+
+  it("never writes over data from a newer version", async () => {
+    const newer = JSON.stringify({ schemaVersion: 99, somethingNew: {} });
+    const storage = createMemoryStorage({ "reflectionApp:state": newer });
+    const app = await openJournal(storage);
+
+    const state = app.loadState();
+    assert.deepEqual(plain(state.reflections), {});
+
+    app.saveState(state);
+    const result = await app.whenSaved();
+    assert.equal(result.ok, false);
+    assert.equal(result.error.name, "NewerSchemaError");
+    assert.equal(storage.getItem("reflectionApp:state"), newer);
+  });
+
+  it("never writes over a corrupt journal", async () => {
+    const storage = createMemoryStorage({ reflectionApp: "{not json" });
+    const app = await openJournal(storage);
+
+    const state = app.loadState();
+    assert.deepEqual(plain(state.reflections), {});
+
+    app.saveState(state);
+    const result = await app.whenSaved();
+    assert.equal(result.ok, false);
+    assert.equal(result.error.name, "UnreadableStateError");
+    assert.equal(storage.getItem("reflectionApp"), "{not json");
+    assert.deepEqual(Object.keys(storage), ["reflectionApp"]);
+  });
+});
+
+describe("applyMergeImport", () => {
+  it("skips a conflict whose entry was deleted after planning", async () => {
+    const app = await openJournal(createMemoryStorage());
+    const entry = {
+      id: "2026-01-10-1",
+      questionId: 3,
+      text: "mine",
+      lastEdited: "2026-01-10T10:00:00.000Z",
+    };
+    const state = app.migrateState({
+      schemaVersion: 1,
+      reflections: { "2026-01-10": [entry] },
+      streak: {},
+    });
+    const backup = app.migrateState({
+      schemaVersion: 1,
+      reflections: {
+        "2026-01-10": [
+          { ...entry, text: "theirs", lastEdited: "2026-01-11T10:00:00.000Z" },
+        ],
+      },
+      streak: {},
+    });
+
+    const plan = app.planMergeImport(state, JSON.stringify(backup));
+    assert.equal(plan.conflicts.length, 1);
+
+    const deleted = { ...state, reflections: { ...state.reflections } };
+    delete deleted.reflections["2026-01-10"];
+    const result = app.applyMergeImport(deleted, plan);
+
+    assert.equal(result.updated, 0);
+    assert.equal(result.skipped, 1);
+    assert.equal(result.state.reflections["2026-01-10"], undefined);
+  });
+});
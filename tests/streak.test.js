@@ -0,0 +1,133 @@
+// Days are counted in UTC here, so noon UTC is the middle of the day
+process.env.TZ = "UTC";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const vm = require("node:vm");
+const { loadScripts } = require("./load-scripts");
+
+const app = loadScripts(["dates", "data", "state"]);
+
+const FREEZE_EARN_INTERVAL = vm.runInContext("FREEZE_EARN_INTERVAL", app);
+const MAX_FREEZES = vm.runInContext("MAX_FREEZES", app);
+
+// A state with a reflection on each date (and the given rest days)
+function stateWithReflections(dates, restDays = []) {
+  const state = app.createDefaultState();
+  state.settings.restDays = restDays;
+  dates.forEach((date) => {
+    state.reflections[date] = [
+      {
+        id: `entry-${date}`,
+        questionId: 1,
+        text: "Something worth writing down",
+        createdAt: `${date}T12:00:00.000Z`,
+        lastEdited: `${date}T12:00:00.000Z`,
+      },
+    ];
+  });
+  return state;
+}
+
+// Count dates in a row, the first being from
+function daysFrom(from, count) {
+  return Array.from({ length: count }, (_, i) => app.addDaysToDate(from, i));
+}
+
+// Stand at noon of date and calculate the streak
+function streakOn(date, state) {
+  app.setNow(`${date}T12:00:00Z`);
+  return app.calculateStreak(state);
+}
+
+// January 2026 starts on a Thursday: the 3rd, 4th, 10th and 11th are a weekend
+const SATURDAY = 6;
+const SUNDAY = 0;
+
+describe("streak freezes", () => {
+  it("earns one for every week written in a row", () => {
+    const almost = daysFrom("2026-01-01", FREEZE_EARN_INTERVAL - 1);
+    const week = daysFrom("2026-01-01", FREEZE_EARN_INTERVAL);
+
+    assert.equal(
+      streakOn("2026-01-06", stateWithReflections(almost)).freezesAvailable,
+      0,
+    );
+    assert.equal(
+      streakOn("2026-01-07", stateWithReflections(week)).freezesAvailable,
+      1,
+    );
+  });
+
+  it(`keeps at most ${MAX_FREEZES}`, () => {
+    const count = FREEZE_EARN_INTERVAL * (MAX_FREEZES + 1);
+    const written = daysFrom("2026-01-01", count);
+    const streak = streakOn(written[count - 1], stateWithReflections(written));
+
+    assert.equal(streak.current, count);
+    assert.equal(streak.freezesAvailable, MAX_FREEZES);
+  });
+
+  it("bridges a missed day without adding to the streak", () => {
+    const written = [...daysFrom("2026-01-01", 7), "2026-01-09"];
+    const streak = streakOn("2026-01-09", stateWithReflections(written));
+
+    assert.equal(streak.current, 8);
+    assert.deepEqual([...streak.freezesUsed], ["2026-01-08"]);
+    assert.equal(streak.freezesAvailable, 0);
+  });
+
+  it("bridges yesterday while today is still open", () => {
+    const streak = streakOn(
+      "2026-01-09",
+      stateWithReflections(daysFrom("2026-01-01", 7)),
+    );
+
+    assert.equal(streak.current, 7);
+    assert.deepEqual([...streak.freezesUsed], ["2026-01-08"]);
+  });
+
+  it("is not spent on a gap it can't cover", () => {
+    const written = [...daysFrom("2026-01-01", 7), "2026-01-10"];
+    const streak = streakOn("2026-01-10", stateWithReflections(written));
+
+    assert.equal(streak.current, 1);
+    assert.equal(streak.longest, 7);
+    assert.deepEqual([...streak.freezesUsed], []);
+  });
+});
+
+describe("rest days", () => {
+  it("keep the streak across a weekend without adding to it", () => {
+    const written = ["2026-01-01", "2026-01-02", "2026-01-05"];
+    const streak = streakOn(
+      "2026-01-05",
+      stateWithReflections(written, [SATURDAY, SUNDAY]),
+    );
+
+    assert.equal(streak.current, 3);
+    assert.deepEqual([...streak.freezesUsed], []);
+  });
+
+  it("still break on a missed workday", () => {
+    const written = ["2026-01-01", "2026-01-02", "2026-01-06"];
+    const streak = streakOn(
+      "2026-01-06",
+      stateWithReflections(written, [SATURDAY, SUNDAY]),
+    );
+
+    assert.equal(streak.current, 1);
+  });
+
+  it("leave only the missed workdays for freezes to cover", () => {
+    // Nine days earn one freeze; the weekend after is rest, Monday is missed
+    const written = [...daysFrom("2026-01-01", 9), "2026-01-13"];
+    const streak = streakOn(
+      "2026-01-13",
+      stateWithReflections(written, [SATURDAY, SUNDAY]),
+    );
+
+    assert.equal(streak.current, 10);
+    assert.deepEqual([...streak.freezesUsed], ["2026-01-12"]);
+  });
+});